@@ -0,0 +1,29 @@
+// Example API route - drop more modules like this into the api/ folder
+module.exports = {
+  method: 'GET',
+  path: '/api/greeting',
+  schema: {
+    querystring: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', minLength: 1, maxLength: 50, default: 'World' }
+      }
+    },
+    response: {
+      200: {
+        type: 'object',
+        required: ['message', 'time'],
+        properties: {
+          message: { type: 'string' },
+          time: { type: 'string', format: 'date-time' }
+        }
+      }
+    }
+  },
+  handler: async (request) => {
+    return {
+      message: `Hello ${request.query.name}!`,
+      time: new Date().toISOString()
+    };
+  }
+};
@@ -1,223 +1,461 @@
+const fs = require('fs');
+const path = require('path');
 const autocannon = require('autocannon');
 const { performance } = require('perf_hooks');
+const config = require('../src/config');
+const recording = require('../src/recording');
+const { getJson } = require('./http');
+const { startServer } = require('./server');
 
-class PerformanceBenchmark {
-  constructor(options = {}) {
-    this.baseUrl = options.baseUrl || 'http://localhost:3000';
-    this.results = [];
-  }
+const SCENARIO_DIR = path.join(__dirname, 'scenarios');
+const METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+const REPORT_VERSION = 1;
 
-  async runBasicBenchmark() {
-    console.log('🚀 Running basic performance benchmark...');
+// Defaults for anything a scenario or request leaves out
+const DEFAULTS = {
+  connections: 100,
+  duration: 10,
+  pipelining: 10
+};
 
-    const result = await autocannon({
-      url: this.baseUrl,
-      connections: 100,
-      duration: 30,
-      pipelining: 10,
-      headers: {
-        'accept': 'application/json',
-        'content-type': 'application/json'
-      }
-    });
+// Discovered routes that are not worth load testing (or need credentials)
+const DISCOVERY_SKIP = [/^\/health(\/|$)/, /^\/metrics$/, /^\/__livereload/, /^\/_admin(\/|$)/, /[:*]/];
 
-    this.results.push({
-      name: 'Basic Load Test',
-      timestamp: new Date().toISOString(),
-      ...result
-    });
+const SAMPLE_INTERVAL_MS = 1000;
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
 
-    return result;
+const RECORDING_EXTENSIONS = ['.har', '.ndjson'];
+
+// Resolve a scenario argument: a file path, or the name of a file in benchmarks/scenarios/
+function scenarioPath(nameOrFile) {
+  if (nameOrFile.endsWith('.json') || RECORDING_EXTENSIONS.includes(path.extname(nameOrFile)) ||
+      nameOrFile.includes('/') || nameOrFile.includes('\\')) {
+    return path.resolve(nameOrFile);
   }
+  return path.join(SCENARIO_DIR, `${nameOrFile}.json`);
+}
 
-  async runUserEndpointBenchmark() {
-    console.log('👥 Running user endpoint benchmark...');
+// A recorded session as one load phase - every connection sends the recorded requests in order
+function recordedRequests(file, entry = {}) {
+  const requests = recording.loadRecording(file);
+  if (requests.length === 0) {
+    throw new Error(`Recording ${file} contains no requests`);
+  }
 
-    const result = await autocannon({
-      url: `${this.baseUrl}/users/1`,
-      connections: 200,
-      duration: 30,
-      pipelining: 10,
-      headers: {
-        'accept': 'application/json'
-      }
-    });
+  return {
+    ...entry,
+    name: entry.name || `recording ${path.basename(file)} (${requests.length} requests)`,
+    method: 'MIXED',
+    path: requests[0].path,
+    sequence: requests.map(request => ({
+      method: request.method,
+      path: request.path,
+      headers: request.headers,
+      body: request.body === null ? undefined : request.body
+    }))
+  };
+}
 
-    this.results.push({
-      name: 'User Endpoint Test',
-      timestamp: new Date().toISOString(),
-      ...result
-    });
+// Read and validate a scenario file - throws with the file name on any problem.
+// A recording (.har / .ndjson) is a scenario of its own: the recorded traffic, replayed as load
+function loadScenario(nameOrFile) {
+  const file = scenarioPath(nameOrFile);
+  if (RECORDING_EXTENSIONS.includes(path.extname(file))) {
+    return {
+      name: path.basename(file),
+      description: 'Recorded traffic',
+      discover: false,
+      concurrent: false,
+      headers: {},
+      requests: [recordedRequests(file)]
+    };
+  }
 
-    return result;
+  let scenario;
+  try {
+    scenario = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read scenario ${file}: ${err.message}`);
   }
 
-  async runConcurrentMixedLoad() {
-    console.log('🔄 Running mixed concurrent load test...');
+  const fail = message => {
+    throw new Error(`Invalid scenario ${file}: ${message}`);
+  };
 
-    const endpoints = [
-      '/',
-      '/users/1',
-      '/users/100',
-      '/users?page=1&limit=10',
-      '/health'
-    ];
+  if (!scenario || typeof scenario !== 'object' || Array.isArray(scenario)) fail('expected a JSON object');
+  if (scenario.requests !== undefined && !Array.isArray(scenario.requests)) fail('"requests" must be an array');
+  if (!scenario.discover && (!scenario.requests || scenario.requests.length === 0)) {
+    fail('list at least one entry in "requests" or set "discover": true');
+  }
+
+  ['connections', 'duration', 'pipelining'].forEach(key => {
+    if (scenario[key] !== undefined && !isPositiveInteger(scenario[key])) fail(`"${key}" must be a positive integer`);
+  });
 
-    const promises = endpoints.map(endpoint => {
-      return autocannon({
-        url: `${this.baseUrl}${endpoint}`,
-        connections: 50,
-        duration: 20,
-        pipelining: 5
+  const requests = (scenario.requests || []).map((entry, index) => {
+    const label = `requests[${index}]`;
+    if (!entry || typeof entry !== 'object') fail(`${label} must be an object`);
+
+    // { "recording": "recordings/checkout.har" } - relative to the scenario file
+    if (entry.recording !== undefined) {
+      if (typeof entry.recording !== 'string') fail(`${label}.recording must be a file name`);
+      ['connections', 'duration', 'pipelining'].forEach(key => {
+        if (entry[key] !== undefined && !isPositiveInteger(entry[key])) fail(`${label}.${key} must be a positive integer`);
       });
+      return recordedRequests(path.resolve(path.dirname(file), entry.recording), entry);
+    }
+
+    if (typeof entry.path !== 'string' || !entry.path.startsWith('/')) fail(`${label}.path must start with /`);
+
+    const method = (entry.method || 'GET').toUpperCase();
+    if (!METHODS.includes(method)) fail(`${label}.method must be one of: ${METHODS.join(', ')}`);
+
+    ['connections', 'duration', 'pipelining'].forEach(key => {
+      if (entry[key] !== undefined && !isPositiveInteger(entry[key])) fail(`${label}.${key} must be a positive integer`);
     });
+    if (entry.headers !== undefined && (typeof entry.headers !== 'object' || Array.isArray(entry.headers))) {
+      fail(`${label}.headers must be an object`);
+    }
 
-    const results = await Promise.all(promises);
+    return { ...entry, method };
+  });
+
+  return {
+    name: scenario.name || path.basename(file, '.json'),
+    description: scenario.description || '',
+    discover: scenario.discover === true,
+    concurrent: scenario.concurrent === true,
+    connections: scenario.connections,
+    duration: scenario.duration,
+    pipelining: scenario.pipelining,
+    headers: scenario.headers || {},
+    requests
+  };
+}
 
-    const aggregated = {
-      name: 'Mixed Concurrent Load',
-      timestamp: new Date().toISOString(),
-      endpoints: endpoints.length,
-      totalRequests: results.reduce((sum, r) => sum + r.requests.total, 0),
-      avgThroughput: results.reduce((sum, r) => sum + r.throughput.average, 0),
-      avgLatency: results.reduce((sum, r) => sum + r.latency.average, 0) / results.length,
-      results
-    };
+function percentChange(before, after) {
+  if (!before) return 0;
+  return ((after - before) / before) * 100;
+}
 
-    this.results.push(aggregated);
-    return aggregated;
+// Compare two reports request by request. A request regresses when its req/sec drops or its
+// p99 latency grows by more than thresholdPercent.
+function compareReports(baseline, current, thresholdPercent) {
+  if (!baseline || baseline.version !== REPORT_VERSION || !Array.isArray(baseline.results)) {
+    throw new Error('Baseline is not a benchmark JSON report (create one with --json)');
   }
 
-  async runStressTest() {
-    console.log('💪 Running stress test with high concurrency...');
+  const previous = new Map(baseline.results.map(result => [result.name, result]));
 
-    const result = await autocannon({
-      url: this.baseUrl,
-      connections: 500,
-      duration: 60,
-      pipelining: 20,
-      headers: {
-        'accept': 'application/json'
-      }
-    });
+  const rows = current.results.map(result => {
+    const before = previous.get(result.name);
+    if (!before) {
+      return { name: result.name, status: 'new' };
+    }
 
-    this.results.push({
-      name: 'High Concurrency Stress Test',
-      timestamp: new Date().toISOString(),
-      ...result
-    });
+    const requestsChange = percentChange(before.requestsPerSec, result.requestsPerSec);
+    const p99Change = percentChange(before.latencyMs.p99, result.latencyMs.p99);
+    const regressed = requestsChange < -thresholdPercent || p99Change > thresholdPercent;
 
-    return result;
-  }
+    return {
+      name: result.name,
+      status: regressed ? 'regressed' : 'ok',
+      requestsPerSec: { baseline: before.requestsPerSec, current: result.requestsPerSec, changePercent: requestsChange },
+      p99Ms: { baseline: before.latencyMs.p99, current: result.latencyMs.p99, changePercent: p99Change }
+    };
+  });
+
+  // Baseline requests this run didn't make - renamed or removed, or a baseline of another scenario
+  const names = new Set(current.results.map(result => result.name));
+  baseline.results.filter(result => !names.has(result.name)).forEach(result => {
+    rows.push({ name: result.name, status: 'missing' });
+  });
+
+  return {
+    baseline: { timestamp: baseline.timestamp, scenario: baseline.scenario },
+    thresholdPercent,
+    matched: rows.filter(row => row.status === 'ok' || row.status === 'regressed').length,
+    regressions: rows.filter(row => row.status === 'regressed').length,
+    rows
+  };
+}
 
-  async runCustomBenchmark(options) {
-    console.log(`🎯 Running custom benchmark: ${options.name}...`);
+// Pair every unpinned result with its pinned twin ("GET /" ↔ "GET / (core 0)")
+function compareAffinity(results, label) {
+  return results.filter(result => !result.run).map(unpinned => {
+    const pinned = results.find(result => result.name === `${unpinned.name} (${label})`);
+    if (!pinned) return null;
+    return {
+      name: unpinned.name,
+      requestsPerSec: {
+        default: unpinned.requestsPerSec,
+        pinned: pinned.requestsPerSec,
+        changePercent: percentChange(unpinned.requestsPerSec, pinned.requestsPerSec)
+      },
+      p99Ms: {
+        default: unpinned.latencyMs.p99,
+        pinned: pinned.latencyMs.p99,
+        changePercent: percentChange(unpinned.latencyMs.p99, pinned.latencyMs.p99)
+      }
+    };
+  }).filter(Boolean);
+}
 
-    const result = await autocannon({
-      url: options.url || this.baseUrl,
-      connections: options.connections || 100,
-      duration: options.duration || 30,
-      pipelining: options.pipelining || 10,
-      method: options.method || 'GET',
-      headers: options.headers || { 'accept': 'application/json' },
-      body: options.body
-    });
+function formatBytes(bytes) {
+  if (bytes === null || bytes === undefined) return 'n/a';
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${bytes} B`;
+}
 
-    this.results.push({
-      name: options.name,
-      timestamp: new Date().toISOString(),
-      ...result
-    });
+function formatNumber(value, digits = 0) {
+  if (value === null || value === undefined) return 'n/a';
+  return value.toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
 
-    return result;
-  }
+function formatChange(value) {
+  return `${value >= 0 ? '+' : ''}${value.toFixed(1)}%`;
+}
 
-  async measureMemoryUsage() {
-    console.log('📊 Measuring memory usage...');
+class PerformanceBenchmark {
+  constructor(options = {}) {
+    this.baseUrl = (options.baseUrl || process.env.BENCHMARK_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+    this.apiKey = options.apiKey !== undefined ? options.apiKey : process.env.HEALTH_CHECK_API_KEY;
+    this.ca = options.ca;
+    this.label = options.label || null;
+    this.durationOverride = options.duration;
+    this.results = [];
+  }
 
-    const start = process.memoryUsage();
-    const startTime = performance.now();
+  // Page and endpoint paths from the JSON listing at / - only routes that answer a plain GET with 2xx
+  async discoverRoutes() {
+    let listing;
+    try {
+      listing = (await getJson(`${this.baseUrl}/`, { accept: 'application/json' }, this.ca)).body;
+    } catch (err) {
+      throw new Error(`Could not discover routes from ${this.baseUrl}/ - is the server running? (${err.message})`);
+    }
+    if (!listing) {
+      throw new Error(`${this.baseUrl}/ did not answer with a JSON route listing`);
+    }
 
-    // Simulate some load
-    for (let i = 0; i < 100000; i++) {
-      Math.random() * 1000;
+    const candidates = [
+      ...(listing.htmlPages || []).map(route => ({ path: route === '/index' ? '/' : route, accept: 'text/html' })),
+      ...(listing.apiEndpoints || []).map(route => ({ path: route, accept: 'application/json' }))
+    ].filter(candidate => !DISCOVERY_SKIP.some(pattern => pattern.test(candidate.path)));
+
+    const routes = [];
+    for (const candidate of candidates) {
+      if (routes.some(route => route.path === candidate.path)) continue;
+      try {
+        const response = await getJson(`${this.baseUrl}${candidate.path}`, { accept: candidate.accept }, this.ca);
+        if (response.status >= 200 && response.status < 300) {
+          routes.push({ path: candidate.path, method: 'GET', headers: { accept: candidate.accept } });
+        } else {
+          console.log(`⏭️  Skipping ${candidate.path} (${response.status})`);
+        }
+      } catch (err) {
+        console.log(`⏭️  Skipping ${candidate.path} (${err.message})`);
+      }
     }
 
-    const endTime = performance.now();
-    const end = process.memoryUsage();
+    if (routes.length === 0) {
+      throw new Error(`No routes discovered at ${this.baseUrl}/`);
+    }
+    return routes;
+  }
 
-    const memoryDelta = {
-      rss: end.rss - start.rss,
-      heapUsed: end.heapUsed - start.heapUsed,
-      heapTotal: end.heapTotal - start.heapTotal,
-      external: end.external - start.external
+  // Poll /health/ready while a load phase runs, collecting the server's memory and CPU usage.
+  // CPU is derived from cpuMicroseconds deltas of the same process (cluster workers answer in turn).
+  startServerSampling() {
+    const headers = { accept: 'application/json' };
+    if (this.apiKey) headers['x-api-key'] = this.apiKey;
+
+    const samples = [];
+    const previousByPid = new Map();
+    let pending = Promise.resolve();
+    let unavailable = null;
+
+    const take = async () => {
+      try {
+        const response = await getJson(`${this.baseUrl}/health/ready`, headers, this.ca);
+        const body = response.body;
+        if (!body || !body.memoryBytes) {
+          unavailable = `/health/ready answered ${response.status}`;
+          return;
+        }
+
+        const now = performance.now();
+        const sample = { rss: body.memoryBytes.rss, heapUsed: body.memoryBytes.heapUsed, cpuPercent: null };
+        const cpu = body.cpuMicroseconds;
+        const previous = previousByPid.get(body.pid);
+        if (cpu && previous) {
+          const cpuTime = (cpu.user + cpu.system) - (previous.cpu.user + previous.cpu.system);
+          sample.cpuPercent = (cpuTime / ((now - previous.time) * 1000)) * 100;
+        }
+        if (cpu) previousByPid.set(body.pid, { cpu, time: now });
+        samples.push(sample);
+      } catch (err) {
+        unavailable = err.message;
+      }
     };
 
-    const result = {
-      name: 'Memory Usage Test',
-      timestamp: new Date().toISOString(),
-      duration: endTime - startTime,
-      startMemory: start,
-      endMemory: end,
-      memoryDelta,
-      iterations: 100000
-    };
+    pending = take();
+    const timer = setInterval(() => {
+      pending = pending.then(take);
+    }, SAMPLE_INTERVAL_MS);
+
+    return async () => {
+      clearInterval(timer);
+      await pending;
 
-    this.results.push(result);
-    return result;
+      if (samples.length === 0) {
+        if (unavailable) console.log(`⚠️  No server samples: ${unavailable}`);
+        return null;
+      }
+
+      const cpuSamples = samples.map(sample => sample.cpuPercent).filter(value => value !== null);
+      const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+      return {
+        samples: samples.length,
+        rssBytes: {
+          average: Math.round(average(samples.map(sample => sample.rss))),
+          max: Math.max(...samples.map(sample => sample.rss))
+        },
+        heapUsedBytes: { max: Math.max(...samples.map(sample => sample.heapUsed)) },
+        cpuPercent: cpuSamples.length > 0
+          ? { average: average(cpuSamples), max: Math.max(...cpuSamples) }
+          : null
+      };
+    };
   }
 
-  formatResults(result) {
-    if (!result) return 'No results available';
+  // Resolve one scenario entry into autocannon options
+  requestOptions(scenario, entry) {
+    const headers = { ...scenario.headers, ...(entry.headers || {}) };
+    let body = entry.body;
+    if (body !== undefined && typeof body !== 'string') {
+      body = JSON.stringify(body);
+      if (!Object.keys(headers).some(name => name.toLowerCase() === 'content-type')) {
+        headers['content-type'] = 'application/json';
+      }
+    }
 
-    return `
-📈 Performance Results:
-• Requests/sec: ${result.requests?.average?.toLocaleString() || 'N/A'}
-• Total Requests: ${result.requests?.total?.toLocaleString() || 'N/A'}
-• Throughput: ${result.throughput?.average?.toFixed(2) || 'N/A'} MB/s
-• Latency (avg): ${result.latency?.average?.toFixed(2) || 'N/A'}ms
-• Latency (p99): ${result.latency?.p99?.toFixed(2) || 'N/A'}ms
-• Duration: ${result.duration || 'N/A'}s
-• Connections: ${result.connections || 'N/A'}
-• Errors: ${result.errors || 0}
-    `;
-  }
-
-  generateReport() {
-    console.log('\n📋 PERFORMANCE BENCHMARK REPORT');
-    console.log('================================');
+    const name = entry.name || `${entry.method} ${entry.path}`;
+    return {
+      name: this.label ? `${name} (${this.label})` : name,
+      run: this.label,
+      method: entry.method,
+      path: entry.path,
+      connections: entry.connections || scenario.connections || DEFAULTS.connections,
+      duration: this.durationOverride || entry.duration || scenario.duration || DEFAULTS.duration,
+      pipelining: entry.pipelining || scenario.pipelining || DEFAULTS.pipelining,
+      headers,
+      body,
+      // Recorded sessions: the request sequence every connection repeats
+      requests: entry.sequence
+        ? entry.sequence.map(request => ({ ...request, headers: { ...scenario.headers, ...request.headers } }))
+        : undefined
+    };
+  }
 
-    this.results.forEach((result, index) => {
-      console.log(`\n${index + 1}. ${result.name}`);
-      console.log(`   Time: ${result.timestamp}`);
-      console.log(this.formatResults(result));
-    });
+  async runRequest(options) {
+    console.log(`🎯 ${options.name} - ${options.connections} connections, ${options.duration}s`);
 
-    const summary = this.getSummary();
-    console.log('\n🏆 SUMMARY');
-    console.log('===========');
-    console.log(summary);
+    const result = await autocannon({
+      url: `${this.baseUrl}${options.path}`,
+      method: options.method,
+      connections: options.connections,
+      duration: options.duration,
+      pipelining: options.pipelining,
+      headers: options.headers,
+      body: options.body,
+      requests: options.requests
+    });
 
     return {
-      results: this.results,
-      summary
+      name: options.name,
+      run: options.run,
+      method: options.method,
+      path: options.path,
+      connections: options.connections,
+      duration: options.duration,
+      pipelining: options.pipelining,
+      requestsPerSec: result.requests.average,
+      totalRequests: result.requests.total,
+      latencyMs: {
+        average: result.latency.average,
+        p50: result.latency.p50,
+        p99: result.latency.p99,
+        max: result.latency.max
+      },
+      throughputBytesPerSec: result.throughput.average,
+      errors: result.errors + result.timeouts,
+      non2xx: result.non2xx,
+      server: null
     };
   }
 
-  getSummary() {
-    if (this.results.length === 0) return 'No tests run';
+  // Run every request of a scenario - one after another, or all at once with "concurrent": true
+  async runScenario(scenario) {
+    console.log(`🚀 Running scenario "${scenario.name}" against ${this.baseUrl}`);
+    if (scenario.description) console.log(`   ${scenario.description}`);
+
+    const entries = [...scenario.requests];
+    if (scenario.discover) {
+      const discovered = await this.discoverRoutes();
+      console.log(`🔎 Discovered ${discovered.length} routes: ${discovered.map(route => route.path).join(', ')}`);
+      discovered.forEach(route => {
+        if (!entries.some(entry => entry.method === 'GET' && entry.path === route.path)) entries.push(route);
+      });
+    }
 
-    const totalRequests = this.results.reduce((sum, r) => sum + (r.requests?.total || 0), 0);
-    const avgThroughput = this.results.reduce((sum, r) => sum + (r.requests?.average || 0), 0) / this.results.length;
-    const bestThroughput = Math.max(...this.results.map(r => r.requests?.average || 0));
+    const phases = scenario.concurrent
+      ? [entries.map(entry => this.requestOptions(scenario, entry))]
+      : entries.map(entry => [this.requestOptions(scenario, entry)]);
+
+    for (const phase of phases) {
+      const stopSampling = this.startServerSampling();
+      const results = await Promise.all(phase.map(options => this.runRequest(options)));
+      const server = await stopSampling();
+      results.forEach(result => {
+        result.server = server;
+        this.results.push(result);
+      });
+    }
+
+    return this.results;
+  }
+
+  formatResults(result) {
+    const server = result.server;
+    const cpu = server && server.cpuPercent ? `${server.cpuPercent.average.toFixed(0)}% avg / ${server.cpuPercent.max.toFixed(0)}% max` : 'n/a';
 
     return `
-• Total Tests: ${this.results.length}
-• Total Requests Processed: ${totalRequests.toLocaleString()}
-• Average Throughput: ${avgThroughput.toFixed(0)} req/sec
-• Best Throughput: ${bestThroughput.toLocaleString()} req/sec
-• Server Performance: ${this.getPerformanceRating(bestThroughput)}
-    `;
+📈 ${result.name}
+• Requests/sec: ${formatNumber(result.requestsPerSec)}
+• Total Requests: ${formatNumber(result.totalRequests)}
+• Throughput: ${formatBytes(result.throughputBytesPerSec)}/s
+• Latency: ${result.latencyMs.average.toFixed(2)}ms avg, ${result.latencyMs.p99.toFixed(2)}ms p99
+• Errors: ${result.errors}${result.non2xx ? ` (+${result.non2xx} non-2xx responses)` : ''}
+• Server memory: ${server ? `${formatBytes(server.rssBytes.max)} max RSS` : 'n/a'}
+• Server CPU: ${cpu}`;
+  }
+
+  generateReport(report) {
+    console.log('\n📋 PERFORMANCE BENCHMARK REPORT');
+    console.log('================================');
+    report.results.forEach(result => console.log(this.formatResults(result)));
+
+    const best = Math.max(...report.results.map(result => result.requestsPerSec));
+    console.log('\n🏆 SUMMARY');
+    console.log('===========');
+    console.log(`• Total Requests Processed: ${formatNumber(report.results.reduce((sum, result) => sum + result.totalRequests, 0))}`);
+    console.log(`• Best Throughput: ${formatNumber(best)} req/sec`);
+    console.log(`• Server Performance: ${this.getPerformanceRating(best)}`);
   }
 
   getPerformanceRating(throughput) {
@@ -229,63 +467,243 @@ class PerformanceBenchmark {
     return '❌ NEEDS OPTIMIZATION';
   }
 
-  async runFullSuite() {
-    console.log('🎯 Starting comprehensive performance test suite...\n');
+  printComparison(comparison) {
+    console.log(`\n📊 COMPARISON WITH BASELINE (${comparison.baseline.timestamp}, threshold ${comparison.thresholdPercent}%)`);
+    comparison.rows.forEach(row => {
+      if (row.status === 'new') {
+        console.log(`🆕 ${row.name} - not in baseline`);
+        return;
+      }
+      if (row.status === 'missing') {
+        console.log(`❔ ${row.name} - in baseline, not in this run`);
+        return;
+      }
+      const icon = row.status === 'regressed' ? '❌' : '✅';
+      console.log(`${icon} ${row.name} - req/sec ${formatChange(row.requestsPerSec.changePercent)}, p99 ${formatChange(row.p99Ms.changePercent)}`);
+    });
+  }
 
-    try {
-      await this.runBasicBenchmark();
-      await new Promise(resolve => setTimeout(resolve, 2000));
+  printAffinityComparison(affinity) {
+    console.log(`\n⚡ CPU CORE ${affinity.core} vs NO AFFINITY`);
+    affinity.rows.forEach(row => {
+      console.log(`• ${row.name} - ${formatNumber(row.requestsPerSec.default)} → ${formatNumber(row.requestsPerSec.pinned)} req/sec ` +
+        `(${formatChange(row.requestsPerSec.changePercent)}), p99 ${row.p99Ms.default.toFixed(2)} → ${row.p99Ms.pinned.toFixed(2)}ms`);
+    });
+  }
 
-      await this.runUserEndpointBenchmark();
-      await new Promise(resolve => setTimeout(resolve, 2000));
+  toMarkdown(report) {
+    const lines = [
+      `# Benchmark: ${report.scenario}`,
+      '',
+      ...report.runs.map(run => `- Server${run.label ? ` (${run.label})` : ''}: ${run.baseUrl}` +
+        `${run.startedByBenchmark ? `, started for this run${run.core !== null ? ` on CPU core ${run.core}` : ''}` : ''}`),
+      `- Date: ${report.timestamp}`,
+      `- Client: Node.js ${report.client.node} (${report.client.platform})`,
+      '',
+      '| Request | Connections | Req/sec | Latency avg | Latency p99 | Throughput | Errors | Server RSS (max) | Server CPU (avg) |',
+      '|---|---:|---:|---:|---:|---:|---:|---:|---:|'
+    ];
 
-      await this.runConcurrentMixedLoad();
-      await new Promise(resolve => setTimeout(resolve, 2000));
+    report.results.forEach(result => {
+      const server = result.server;
+      lines.push(`| ${result.name} | ${result.connections} | ${formatNumber(result.requestsPerSec)} | ` +
+        `${result.latencyMs.average.toFixed(2)} ms | ${result.latencyMs.p99.toFixed(2)} ms | ` +
+        `${formatBytes(result.throughputBytesPerSec)}/s | ${result.errors + result.non2xx} | ` +
+        `${server ? formatBytes(server.rssBytes.max) : 'n/a'} | ` +
+        `${server && server.cpuPercent ? `${server.cpuPercent.average.toFixed(0)}%` : 'n/a'} |`);
+    });
 
-      await this.measureMemoryUsage();
-      await new Promise(resolve => setTimeout(resolve, 2000));
+    if (report.affinity) {
+      lines.push('', `## CPU core ${report.affinity.core} vs no affinity`, '',
+        '| Request | Req/sec | Change | p99 | Change |',
+        '|---|---:|---:|---:|---:|');
+      report.affinity.rows.forEach(row => {
+        lines.push(`| ${row.name} | ${formatNumber(row.requestsPerSec.default)} → ${formatNumber(row.requestsPerSec.pinned)} | ` +
+          `${formatChange(row.requestsPerSec.changePercent)} | ` +
+          `${row.p99Ms.default.toFixed(2)} → ${row.p99Ms.pinned.toFixed(2)} ms | ${formatChange(row.p99Ms.changePercent)} |`);
+      });
+    }
+
+    if (report.comparison) {
+      const comparison = report.comparison;
+      lines.push('', `## Compared with baseline (${comparison.baseline.timestamp})`, '',
+        `Threshold: ${comparison.thresholdPercent}% - ${comparison.regressions} regression(s)`, '',
+        '| Request | Req/sec | Change | p99 | Change | Status |',
+        '|---|---:|---:|---:|---:|---|');
+      comparison.rows.forEach(row => {
+        if (row.status === 'new' || row.status === 'missing') {
+          lines.push(`| ${row.name} | | | | | ${row.status} |`);
+          return;
+        }
+        lines.push(`| ${row.name} | ${formatNumber(row.requestsPerSec.baseline)} → ${formatNumber(row.requestsPerSec.current)} | ` +
+          `${formatChange(row.requestsPerSec.changePercent)} | ` +
+          `${row.p99Ms.baseline.toFixed(2)} → ${row.p99Ms.current.toFixed(2)} ms | ${formatChange(row.p99Ms.changePercent)} | ` +
+          `${row.status === 'regressed' ? '❌ regressed' : '✅ ok'} |`);
+      });
+    }
 
-      await this.runStressTest();
+    return lines.join('\n') + '\n';
+  }
+}
 
-      return this.generateReport();
-    } catch (error) {
-      console.error('❌ Benchmark failed:', error.message);
-      throw error;
+// benchmark.js [scenario] [--url URL] [--affinity CORE|compare|none] [--duration S]
+//              [--json FILE] [--markdown FILE] [--compare FILE] [--threshold %]
+function parseArgs(argv) {
+  const options = { scenario: 'default', threshold: 10 };
+  const flags = {
+    '--url': 'url',
+    '--affinity': 'affinity',
+    '--duration': 'duration',
+    '--json': 'json',
+    '--markdown': 'markdown',
+    '--compare': 'compare',
+    '--threshold': 'threshold'
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (flags[arg]) {
+      if (argv[i + 1] === undefined) throw new Error(`${arg} needs a value`);
+      options[flags[arg]] = argv[++i];
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else {
+      options.scenario = arg;
     }
   }
+
+  if (options.duration !== undefined) {
+    options.duration = Number(options.duration);
+    if (!isPositiveInteger(options.duration)) throw new Error('--duration must be a positive number of seconds');
+  }
+  options.threshold = Number(options.threshold);
+  if (isNaN(options.threshold) || options.threshold < 0) throw new Error('--threshold must be a percentage');
+  if (options.affinity !== undefined && !/^(\d+|compare|none)$/.test(options.affinity)) {
+    throw new Error('--affinity must be a core number, "compare" or "none"');
+  }
+
+  return options;
 }
 
-module.exports = { PerformanceBenchmark };
+// Server runs for one invocation: { label, core } - core null means no CPU affinity.
+// Without --affinity the .env single-core settings apply, like `node index.js api`.
+function affinityRuns(affinity, env = process.env) {
+  const configuredCore = parseInt(env.CPU_CORE_NUMBER || '0');
 
-if (require.main === module) {
-  const benchmark = new PerformanceBenchmark();
+  if (affinity === 'compare') {
+    return [{ label: null, core: null }, { label: `core ${configuredCore}`, core: configuredCore }];
+  }
+  if (affinity === 'none') return [{ label: null, core: null }];
+  if (affinity !== undefined) return [{ label: null, core: parseInt(affinity) }];
+  return [{ label: null, core: env.SINGLE_CORE_MODE === 'true' ? configuredCore : null }];
+}
 
-  const args = process.argv.slice(2);
-  const testType = args[0] || 'full';
+// One pass over the scenario - against externalUrl, or a server booted (and stopped) for this run
+async function runOnce(scenario, run, externalUrl, options) {
+  let server = null;
+  if (!externalUrl) {
+    console.log(`🚀 Starting server${run.core !== null ? ` on CPU core ${run.core}` : ''}...`);
+    const headers = process.env.HEALTH_CHECK_API_KEY ? { 'x-api-key': process.env.HEALTH_CHECK_API_KEY } : {};
+    server = await startServer({ core: run.core, headers });
+    console.log(`✅ Server ready at ${server.baseUrl} (pid ${server.pid})`);
+  }
 
-  (async () => {
-    try {
-      switch (testType) {
-        case 'basic':
-          await benchmark.runBasicBenchmark();
-          break;
-        case 'stress':
-          await benchmark.runStressTest();
-          break;
-        case 'memory':
-          await benchmark.measureMemoryUsage();
-          break;
-        case 'mixed':
-          await benchmark.runConcurrentMixedLoad();
-          break;
-        case 'full':
-        default:
-          await benchmark.runFullSuite();
-          break;
-      }
-    } catch (error) {
-      console.error('Benchmark error:', error);
-      process.exit(1);
+  try {
+    const benchmark = new PerformanceBenchmark({
+      baseUrl: server ? server.baseUrl : externalUrl,
+      ca: server ? server.ca : undefined,
+      label: run.label,
+      duration: options.duration
+    });
+    const results = await benchmark.runScenario(scenario);
+    return { benchmark, results };
+  } finally {
+    if (server) {
+      await server.stop();
+      console.log('🛑 Server stopped');
     }
-  })();
-}
\ No newline at end of file
+  }
+}
+
+async function main(argv) {
+  const options = parseArgs(argv);
+  const scenario = loadScenario(options.scenario);
+  const baseline = options.compare ? JSON.parse(fs.readFileSync(path.resolve(options.compare), 'utf8')) : null;
+
+  // An explicit URL means "test that server" - otherwise the benchmark boots its own
+  const externalUrl = options.url || process.env.BENCHMARK_URL;
+  if (externalUrl && options.affinity !== undefined) {
+    throw new Error('--affinity needs a server started by the benchmark - remove --url / BENCHMARK_URL');
+  }
+
+  const runs = externalUrl ? [{ label: null, core: null }] : affinityRuns(options.affinity);
+  const report = {
+    version: REPORT_VERSION,
+    scenario: scenario.name,
+    timestamp: new Date().toISOString(),
+    client: { node: process.version, platform: process.platform },
+    concurrent: scenario.concurrent,
+    runs: [],
+    results: []
+  };
+
+  let benchmark;
+  for (const run of runs) {
+    const outcome = await runOnce(scenario, run, externalUrl, options);
+    benchmark = outcome.benchmark;
+    report.runs.push({ label: run.label, core: run.core, baseUrl: benchmark.baseUrl, startedByBenchmark: !externalUrl });
+    report.results.push(...outcome.results);
+  }
+
+  benchmark.generateReport(report);
+
+  const pinnedRun = runs.find(run => run.label);
+  if (pinnedRun) {
+    report.affinity = { core: pinnedRun.core, rows: compareAffinity(report.results, pinnedRun.label) };
+    benchmark.printAffinityComparison(report.affinity);
+  }
+
+  if (baseline) {
+    report.comparison = compareReports(baseline, report, options.threshold);
+    benchmark.printComparison(report.comparison);
+  }
+
+  if (options.json) {
+    fs.writeFileSync(path.resolve(options.json), JSON.stringify(report, null, 2) + '\n');
+    console.log(`💾 JSON report written to ${options.json}`);
+  }
+  if (options.markdown) {
+    fs.writeFileSync(path.resolve(options.markdown), benchmark.toMarkdown(report));
+    console.log(`💾 Markdown report written to ${options.markdown}`);
+  }
+
+  // A baseline sharing no request with this run (another scenario) would pass without comparing anything
+  if (report.comparison && report.comparison.matched === 0) {
+    console.error(`❌ No request of this run is in the baseline (scenario "${report.comparison.baseline.scenario}") - nothing was compared`);
+    return 1;
+  }
+  if (report.comparison && report.comparison.regressions > 0) {
+    console.error(`❌ ${report.comparison.regressions} request(s) regressed by more than ${options.threshold}%`);
+    return 1;
+  }
+  return 0;
+}
+
+module.exports = { PerformanceBenchmark, loadScenario, compareReports, parseArgs, main };
+
+if (require.main === module) {
+  // Same settings as the server (config file, .env, environment) - the arguments are benchmark options
+  try {
+    config.applyConfig(config.loadConfig());
+  } catch (err) {
+    console.error('❌', err.message);
+    process.exit(1);
+  }
+
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  }).catch(error => {
+    console.error('❌ Benchmark failed:', error.message);
+    process.exit(1);
+  });
+}
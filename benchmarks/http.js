@@ -0,0 +1,37 @@
+// Minimal GET helper for discovery, readiness and sampling requests - trusts the generated
+// development CA (ca) when the benchmarked server runs over HTTPS
+const http = require('http');
+const https = require('https');
+
+const REQUEST_TIMEOUT_MS = 5000;
+
+// Resolves with { status, body } - body is parsed JSON, or null for other responses
+function getJson(url, headers = {}, ca) {
+  const client = url.startsWith('https:') ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = client.get(url, { headers, ca, timeout: REQUEST_TIMEOUT_MS }, response => {
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => {
+        let body = null;
+        if (/json/.test(response.headers['content-type'] || '')) {
+          try {
+            body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+          } catch (err) {
+            body = null;
+          }
+        }
+        resolve({ status: response.statusCode, body });
+      });
+      response.on('error', reject);
+    });
+
+    request.on('timeout', () => request.destroy(new Error(`Timed out after ${REQUEST_TIMEOUT_MS / 1000}s`)));
+    request.on('error', reject);
+  });
+}
+
+module.exports = {
+  getJson
+};
@@ -0,0 +1,115 @@
+// Benchmark server launcher - boots src/simple-api.js on a free port, waits until it is ready
+// and stops it again, so a benchmark never hits a stale or unrelated process
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { setCpuAffinity } = require('../src/affinity');
+const { getJson } = require('./http');
+
+const SERVER_SCRIPT = path.join(__dirname, '../src/simple-api.js');
+const LISTEN_TIMEOUT_MS = 30000;
+const READY_TIMEOUT_MS = 15000;
+const STOP_TIMEOUT_MS = 5000;
+
+// Address to reach the server on - wildcard binds are reached over loopback
+function clientHost(host) {
+  if (!host || host === '0.0.0.0' || host === '::') return '127.0.0.1';
+  return host.includes(':') ? `[${host}]` : host;
+}
+
+// Resolve with the server's "listening" message, reject if it exits or stays silent
+function waitForListening(child) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      cleanup();
+      reject(new Error(`Server did not start listening within ${LISTEN_TIMEOUT_MS / 1000}s`));
+    }, LISTEN_TIMEOUT_MS);
+
+    const onMessage = message => {
+      if (message && message.type === 'alphablue:listening') {
+        cleanup();
+        resolve(message);
+      }
+    };
+    const onExit = (code, signal) => {
+      cleanup();
+      reject(new Error(`Server exited during startup (${signal || code})`));
+    };
+    const cleanup = () => {
+      clearTimeout(timer);
+      child.off('message', onMessage);
+      child.off('exit', onExit);
+    };
+
+    child.on('message', onMessage);
+    child.on('exit', onExit);
+  });
+}
+
+// Poll /health/ready until every check passes (200), so warm-up work is not measured
+async function waitForReady(baseUrl, headers, ca) {
+  const deadline = Date.now() + READY_TIMEOUT_MS;
+  let lastStatus = 'no response';
+
+  while (Date.now() < deadline) {
+    try {
+      const response = await getJson(`${baseUrl}/health/ready`, headers, ca);
+      if (response.status === 200) return;
+      lastStatus = response.status;
+    } catch (err) {
+      lastStatus = err.message;
+    }
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+
+  throw new Error(`Server was not ready within ${READY_TIMEOUT_MS / 1000}s (/health/ready: ${lastStatus})`);
+}
+
+function stopChild(child) {
+  if (child.exitCode !== null || child.signalCode !== null) return Promise.resolve();
+
+  return new Promise(resolve => {
+    const timer = setTimeout(() => child.kill('SIGKILL'), STOP_TIMEOUT_MS);
+    child.once('exit', () => {
+      clearTimeout(timer);
+      resolve();
+    });
+    child.kill('SIGTERM');
+  });
+}
+
+// Start a server for one benchmark run. core pins it to a CPU core (null = no affinity).
+// Resolves with { baseUrl, ca, pid, stop() } once /health/ready answers 200.
+async function startServer(options = {}) {
+  const child = spawn(process.execPath, [SERVER_SCRIPT, '0'], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, PORT: '0', ...(options.env || {}) },
+    stdio: ['ignore', 'ignore', 'inherit', 'ipc']
+  });
+
+  try {
+    const listening = await waitForListening(child);
+
+    if (options.core !== null && options.core !== undefined) {
+      setCpuAffinity(child.pid, options.core);
+    }
+
+    const baseUrl = `${listening.protocol}://${clientHost(process.env.HOST)}:${listening.port}`;
+    const ca = listening.caFile ? fs.readFileSync(listening.caFile) : undefined;
+    await waitForReady(baseUrl, options.headers || {}, ca);
+
+    return {
+      baseUrl,
+      ca,
+      pid: child.pid,
+      stop: () => stopChild(child)
+    };
+  } catch (err) {
+    await stopChild(child);
+    throw err;
+  }
+}
+
+module.exports = {
+  startServer
+};
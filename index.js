@@ -2,11 +2,39 @@
 
 const { spawn } = require('child_process');
 const path = require('path');
-require('dotenv').config();
+const { setCpuAffinity } = require('./src/affinity');
+const config = require('./src/config');
 
 const args = process.argv.slice(2);
 const mode = args[0] || 'api';
 
+// Settings: defaults < alphablue.config.js/.json < .env < environment < --flags.
+// The benchmark and replay parse their own options, everything else takes setting flags like --port 3001
+let positional = args.slice(1);
+let settings;
+try {
+  let flags = {};
+  if (mode !== 'benchmark' && mode !== 'replay') {
+    ({ positional, flags } = config.parseFlags(args.slice(1)));
+  }
+
+  // Positional shorthands: api/cluster [port] [workers], export [dir]
+  if ((mode === 'api' || mode === 'cluster') && positional[0] && flags.PORT === undefined) flags.PORT = positional[0];
+  if (mode === 'cluster' && positional[1] && flags.CLUSTER_WORKERS === undefined) flags.CLUSTER_WORKERS = positional[1];
+  if (mode === 'export' && positional[0] && flags.EXPORT_DIR === undefined) flags.EXPORT_DIR = positional[0];
+  // record [file] - a new timestamped HAR file in recordings/ by default
+  if (mode === 'record' && flags.RECORD_FILE === undefined) {
+    flags.RECORD_FILE = positional[0] || `recordings/${new Date().toISOString().replace(/[:.]/g, '-')}.har`;
+  }
+
+  settings = config.loadConfig({ flags });
+  config.applyConfig(settings);
+} catch (err) {
+  console.error('❌', err.message);
+  process.exit(1);
+}
+settings.warnings.forEach(warning => console.log(`⚠️  ${warning}`));
+
 // Apply performance settings from .env
 if (process.env.THREAD_POOL_SIZE) {
   process.env.UV_THREADPOOL_SIZE = process.env.THREAD_POOL_SIZE;
@@ -15,50 +43,109 @@ if (process.env.THREAD_POOL_SIZE) {
 const servers = {
   api: () => {
     console.log('🚀 Starting Simple API Framework...');
-    const port = args[1] || process.env.PORT || 3000;
-
-    // Create child process
-    const child = spawn('node', [path.join(__dirname, 'src/simple-api.js'), port], {
-      stdio: 'inherit'
-    });
+    const port = process.env.PORT || 3000;
 
-    // Apply CPU core affinity if enabled
+    // Apply CPU core affinity if enabled - to this process, before the server starts
     if (process.env.SINGLE_CORE_MODE === 'true') {
       const coreNumber = parseInt(process.env.CPU_CORE_NUMBER || '0');
-      const affinity = Math.pow(2, coreNumber);
 
       console.log(`⚡ Single-core mode: Using CPU core ${coreNumber}`);
       console.log(`🔧 Thread pool size: ${process.env.UV_THREADPOOL_SIZE || 'default'}`);
 
-      // Set CPU affinity after process starts
-      setTimeout(() => {
-        try {
-          if (process.platform === 'win32') {
-            const { spawn: spawnSync } = require('child_process');
-            spawnSync('powershell', [
-              '-Command',
-              `(Get-Process -Id ${child.pid}).ProcessorAffinity = ${affinity}`
-            ], { stdio: 'inherit' });
-            console.log(`✅ CPU affinity set to core ${coreNumber} (Windows)`);
-          } else if (process.platform === 'linux') {
-            const { spawn: spawnSync } = require('child_process');
-            spawnSync('taskset', ['-cp', coreNumber, child.pid], { stdio: 'inherit' });
-            console.log(`✅ CPU affinity set to core ${coreNumber} (Linux)`);
-          } else {
-            console.log(`⚠️  CPU affinity not supported on ${process.platform}`);
-          }
-        } catch (error) {
-          console.log('⚠️  Could not set CPU affinity:', error.message);
-        }
-      }, 1000);
+      try {
+        setCpuAffinity(process.pid, coreNumber);
+        console.log(`✅ CPU affinity set to core ${coreNumber} (${process.platform === 'win32' ? 'Windows' : 'Linux'})`);
+      } catch (error) {
+        console.log('⚠️  Could not set CPU affinity:', error.message);
+      }
     }
+
+    require('./src/simple-api').start(port);
+  },
+
+  // The api server with RECORD_FILE set - stop it with Ctrl+C to finish the recording
+  record: () => {
+    console.log(`⏺️  Record mode - requests go to ${process.env.RECORD_FILE}`);
+    servers.api();
+  },
+
+  // Re-fire a recording against a running server and diff the responses
+  replay: () => {
+    const replay = require('./src/replay');
+    let options;
+    try {
+      options = replay.parseArgs(positional);
+    } catch (err) {
+      console.error('❌', err.message);
+      process.exit(1);
+    }
+
+    replay.replay(options).then(report => {
+      process.exitCode = report.changed > 0 || report.failed > 0 ? 1 : 0;
+    }).catch(err => {
+      console.error('❌ Replay failed:', err.message);
+      process.exit(1);
+    });
+  },
+
+  cluster: () => {
+    console.log('🚀 Starting Simple API Framework in cluster mode...');
+    const port = process.env.PORT || 3000;
+    const workers = parseInt(process.env.CLUSTER_WORKERS) || 0;
+
+    if (process.env.SINGLE_CORE_MODE === 'true') {
+      console.log('⚠️  SINGLE_CORE_MODE is ignored in cluster mode - workers use all cores');
+    }
+
+    require('./src/cluster').startCluster({ port, workers });
+  },
+
+  export: () => {
+    console.log('📦 Exporting static site...');
+    const staticExport = require('./src/export');
+
+    try {
+      const settings = staticExport.readSettings(process.env);
+      if (!process.env.EXPORT_BASE_URL) {
+        console.log(`⚠️  EXPORT_BASE_URL is not set - sitemap.xml will use ${settings.baseUrl}`);
+      }
+
+      const result = staticExport.exportSite(settings);
+      console.log(`✅ Exported ${result.pages} pages, ${result.assets} assets and ${result.files} other files to ${settings.outDir} (${settings.format} format)`);
+    } catch (err) {
+      console.error('❌ Export failed:', err.message);
+      process.exit(1);
+    }
+  },
+
+  // Effective settings and where each came from - `config check` only validates
+  config: () => {
+    if (positional[0] === 'check') {
+      const configured = Object.values(settings.sources).filter(source => source !== 'default').length;
+      console.log(`✅ Configuration is valid (${configured} of ${config.SETTINGS.length} settings set${settings.configFile ? `, ${path.basename(settings.configFile)} loaded` : ''})`);
+      return;
+    }
+
+    const rows = config.describeConfig(settings);
+    const nameWidth = Math.max(...rows.map(row => row.name.length)) + 2;
+    const valueWidth = Math.min(40, Math.max(...rows.map(row => row.value.length))) + 2;
+
+    console.log(`⚙️  Effective configuration${settings.configFile ? ` (with ${path.basename(settings.configFile)})` : ''}\n`);
+    rows.forEach(row => {
+      const line = `${row.name.padEnd(nameWidth)}${row.value.padEnd(valueWidth)}${row.source}`;
+      console.log(row.source === 'default' ? `\x1b[90m${line}\x1b[0m` : line);
+    });
+    console.log('\n\x1b[90mPrecedence: default < config file < .env < environment < command line\x1b[0m');
   },
 
   benchmark: () => {
     console.log('📊 Running performance benchmark...');
-    spawn('node', [path.join(__dirname, 'benchmarks/benchmark.js')], {
+    const child = spawn('node', [path.join(__dirname, 'benchmarks/benchmark.js'), ...args.slice(1)], {
       stdio: 'inherit'
     });
+    child.on('exit', code => {
+      process.exitCode = code;
+    });
   }
 };
 
@@ -72,12 +159,30 @@ Usage: node index.js [mode]
 
 Modes:
   api        - Single server instance (default)
-  benchmark  - Run performance tests
+  cluster    - One worker per CPU core sharing the port
+  record     - Single server that records every request and response to a HAR or NDJSON file
+  replay     - Re-send a recording to a running server and show what changed
+  export     - Render all pages, assets and files to a static folder (dist/)
+  benchmark  - Boot a server on a free port and run a benchmark scenario
+  config     - Show the effective settings and where each one comes from
 
 Examples:
   npm start                    # Single server on port 3000
   node index.js api           # Single server on port 3000
   node index.js api 3001      # Single server on port 3001
-  node index.js benchmark     # Performance test
+  node index.js cluster       # All cores on port 3000
+  node index.js cluster 3000 4  # 4 workers on port 3000
+  node index.js record        # Record to recordings/<time>.har until Ctrl+C
+  node index.js record session.ndjson --record-paths /api,/users  # Only API traffic
+  node index.js replay session.ndjson               # Diff against http://localhost:3000
+  node index.js replay session.har --url http://localhost:3001 --ignore $.createdAt
+  node index.js export        # Static site in dist/
+  node index.js export out    # Static site in out/
+  node index.js benchmark     # Performance test (all discovered routes)
+  node index.js benchmark mixed --json report.json  # Scenario with JSON report
+  node index.js benchmark --affinity compare        # Single core vs default
+  node index.js api --log-format pretty --https     # Any setting as a flag
+  node index.js config        # Effective settings (secrets masked)
+  node index.js config check  # Validate settings only
   `);
 }
\ No newline at end of file
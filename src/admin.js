@@ -0,0 +1,493 @@
+// Admin dashboard - an HTML page at /_admin showing what the server is doing (loaded pages, routes,
+// request rate and latency, recent errors), updated live over Server-Sent Events, with actions to
+// reload the pages and clear the stats
+const logging = require('./logging');
+const liveReload = require('./live-reload');
+
+const ADMIN_PATH = '/_admin';
+const UPDATE_INTERVAL_MS = 1000;
+const HISTORY_SECONDS = 60;
+// Latency percentiles are computed over the most recent requests
+const LATENCY_SAMPLES = 1000;
+const MAX_ERRORS = 50;
+// Actions must carry this header - a cross-site form can't set it, so browser credentials
+// (Basic auth) can't be used to trigger them from another page
+const ACTION_HEADER = 'x-admin-action';
+
+function readSettings(env = process.env) {
+  return {
+    enabled: env.ADMIN_DASHBOARD === 'true',
+    redactQuery: logging.readSettings(env).redactQuery
+  };
+}
+
+// Request rate, latency and per-route counts since the last clear(), plus the latest errors
+function createAdminStats(settings) {
+  let since;
+  let total;
+  let statuses;
+  let history;
+  let latencies;
+  let latencyCount;
+  let routeStats;
+  let errors;
+
+  function clear() {
+    since = new Date().toISOString();
+    total = 0;
+    statuses = { '2xx': 0, '3xx': 0, '4xx': 0, '5xx': 0 };
+    history = []; // { second, count, totalMs } - one entry per second with traffic
+    latencies = new Float64Array(LATENCY_SAMPLES);
+    latencyCount = 0;
+    routeStats = new Map(); // "GET /users/:id" → { count, totalMs }
+    errors = [];
+  }
+  clear();
+
+  function record(request, reply) {
+    const durationMs = reply.elapsedTime;
+    const second = Math.floor(Date.now() / 1000);
+
+    let bucket = history[history.length - 1];
+    if (!bucket || bucket.second !== second) {
+      bucket = { second, count: 0, totalMs: 0 };
+      history.push(bucket);
+      if (history.length > HISTORY_SECONDS) history.shift();
+    }
+    bucket.count++;
+    bucket.totalMs += durationMs;
+
+    latencies[latencyCount % LATENCY_SAMPLES] = durationMs;
+    latencyCount++;
+    total++;
+
+    const statusClass = `${String(reply.statusCode)[0]}xx`;
+    if (statuses[statusClass] !== undefined) statuses[statusClass]++;
+
+    const key = `${request.method} ${request.routeOptions.url || 'unmatched'}`;
+    const route = routeStats.get(key) || { count: 0, totalMs: 0 };
+    route.count++;
+    route.totalMs += durationMs;
+    routeStats.set(key, route);
+  }
+
+  // Called from the error handler - newest first, query credentials redacted
+  function recordError(error, request, statusCode) {
+    errors.unshift({
+      time: new Date().toISOString(),
+      statusCode,
+      method: request.method,
+      url: logging.redactUrl(request.url, settings.redactQuery),
+      message: error.message,
+      code: error.code,
+      requestId: request.id
+    });
+    if (errors.length > MAX_ERRORS) errors.pop();
+  }
+
+  function percentile(sorted, fraction) {
+    if (sorted.length === 0) return 0;
+    return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))];
+  }
+
+  const round = value => Math.round(value * 100) / 100;
+
+  function snapshot() {
+    const now = Math.floor(Date.now() / 1000);
+    const bySecond = new Map(history.map(bucket => [bucket.second, bucket]));
+
+    // The last HISTORY_SECONDS full seconds, oldest first, the current (incomplete) second left out
+    const series = [];
+    for (let second = now - HISTORY_SECONDS; second < now; second++) {
+      const bucket = bySecond.get(second);
+      series.push({
+        requests: bucket ? bucket.count : 0,
+        avgMs: bucket ? round(bucket.totalMs / bucket.count) : 0
+      });
+    }
+
+    const recent = series.slice(-5);
+    const sorted = Array.from(latencies.subarray(0, Math.min(latencyCount, LATENCY_SAMPLES))).sort((a, b) => a - b);
+    const latencyTotal = sorted.reduce((sum, value) => sum + value, 0);
+
+    return {
+      since,
+      total,
+      statuses,
+      ratePerSecond: round(recent.reduce((sum, entry) => sum + entry.requests, 0) / recent.length),
+      latencyMs: {
+        avg: sorted.length > 0 ? round(latencyTotal / sorted.length) : 0,
+        p50: round(percentile(sorted, 0.5)),
+        p95: round(percentile(sorted, 0.95)),
+        max: round(sorted.length > 0 ? sorted[sorted.length - 1] : 0)
+      },
+      series,
+      routes: routeStats,
+      errors
+    };
+  }
+
+  return { record, recordError, snapshot, clear };
+}
+
+// Browser client - an external script so a strict Content-Security-Policy still allows it.
+// A ?key= in the page URL is passed on to the event stream and the actions
+const clientScript = `(function () {
+  var key = new URLSearchParams(location.search).get('key');
+  var withKey = function (url) { return key ? url + '?key=' + encodeURIComponent(key) : url; };
+  var $ = function (id) { return document.getElementById(id); };
+
+  function formatBytes(bytes) {
+    if (bytes < 1024) return bytes + ' B';
+    if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
+    return (bytes / 1024 / 1024).toFixed(1) + ' MB';
+  }
+
+  function formatUptime(seconds) {
+    var days = Math.floor(seconds / 86400);
+    var hours = Math.floor(seconds % 86400 / 3600);
+    var minutes = Math.floor(seconds % 3600 / 60);
+    if (days > 0) return days + 'd ' + hours + 'h';
+    if (hours > 0) return hours + 'h ' + minutes + 'm';
+    return minutes + 'm ' + Math.floor(seconds % 60) + 's';
+  }
+
+  // Replace a table body with one row per item - text only, never HTML from the server
+  function fillTable(id, items, columns, empty) {
+    var body = $(id);
+    body.textContent = '';
+    if (items.length === 0) {
+      var row = body.insertRow();
+      var cell = row.insertCell();
+      cell.colSpan = columns.length;
+      cell.className = 'empty';
+      cell.textContent = empty;
+      return;
+    }
+    items.forEach(function (item) {
+      var row = body.insertRow();
+      columns.forEach(function (column) {
+        var cell = row.insertCell();
+        var value = column(item);
+        if (value && value.href) {
+          var link = document.createElement('a');
+          link.href = value.href;
+          link.textContent = value.text;
+          cell.appendChild(link);
+        } else {
+          cell.textContent = value;
+        }
+      });
+    });
+  }
+
+  // Requests per second over the last minute as an SVG polyline
+  function drawChart(series) {
+    var max = Math.max.apply(null, series.map(function (entry) { return entry.requests; }).concat([1]));
+    var points = series.map(function (entry, index) {
+      return (index * 100 / (series.length - 1)).toFixed(2) + ',' + (30 - entry.requests / max * 28).toFixed(2);
+    });
+    $('chart-line').setAttribute('points', points.join(' '));
+    $('chart-max').textContent = max + ' req/s';
+  }
+
+  function render(state) {
+    var stats = state.stats;
+    $('server').textContent = state.server.name;
+    $('details').textContent = 'pid ' + state.server.pid + ' · node ' + state.server.node +
+      ' · up ' + formatUptime(state.server.uptimeSeconds) + ' · ' + formatBytes(state.server.memory.rss) + ' RSS';
+    $('rate').textContent = stats.ratePerSecond;
+    $('latency').textContent = stats.latencyMs.avg + ' ms';
+    $('p95').textContent = stats.latencyMs.p95 + ' ms';
+    $('total').textContent = stats.total;
+    $('statuses').textContent = Object.keys(stats.statuses).map(function (status) {
+      return status + ' ' + stats.statuses[status];
+    }).join(' · ');
+    $('since').textContent = new Date(stats.since).toLocaleString();
+    $('page-summary').textContent = state.pages.length + ' pages, ' +
+      formatBytes(state.pages.reduce(function (sum, page) { return sum + page.bytes; }, 0)) +
+      ' · static file cache ' + state.staticCache.files + ' files, ' + formatBytes(state.staticCache.bytes);
+    drawChart(stats.series);
+
+    fillTable('routes', state.routes, [
+      function (route) { return route.method; },
+      function (route) { return route.url; },
+      function (route) { return route.requests; },
+      function (route) { return route.requests > 0 ? route.avgMs + ' ms' : ''; }
+    ], 'No routes');
+    fillTable('pages', state.pages, [
+      function (page) { return page.site; },
+      function (page) { return { href: page.url, text: page.url }; },
+      function (page) { return formatBytes(page.bytes); }
+    ], 'No pages loaded');
+    fillTable('errors', stats.errors, [
+      function (error) { return new Date(error.time).toLocaleTimeString(); },
+      function (error) { return error.statusCode; },
+      function (error) { return error.method + ' ' + error.url; },
+      function (error) { return error.message; },
+      function (error) { return error.requestId; }
+    ], 'No errors since ' + new Date(stats.since).toLocaleString());
+  }
+
+  var source = new EventSource(withKey('${ADMIN_PATH}/events'));
+  source.onopen = function () { $('connection').textContent = 'live'; $('connection').className = 'live'; };
+  source.onerror = function () { $('connection').textContent = 'reconnecting'; $('connection').className = ''; };
+  source.onmessage = function (event) { render(JSON.parse(event.data)); };
+
+  function action(name, button) {
+    button.disabled = true;
+    var headers = { accept: 'application/json', '${ACTION_HEADER}': name };
+    if (key) headers['x-api-key'] = key;
+    fetch('${ADMIN_PATH}/' + name, { method: 'POST', headers: headers })
+      .then(function (response) { return response.json(); })
+      .then(function (result) { $('message').textContent = result.message || result.detail || result.title; })
+      .catch(function (err) { $('message').textContent = err.message; })
+      .then(function () { button.disabled = false; });
+  }
+
+  $('reload').onclick = function () { action('reload', this); };
+  $('clear-stats').onclick = function () { action('clear-stats', this); };
+})();
+`;
+
+const page = `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <meta name="robots" content="noindex">
+    <title>Admin - AlphaBlue</title>
+    <style>
+        body { font: 14px/1.5 system-ui, sans-serif; margin: 0 auto; padding: 1.5rem; max-width: 1100px; color: #1f2933; }
+        header { display: flex; flex-wrap: wrap; align-items: baseline; gap: 0.75rem; }
+        h1 { font-size: 1.4rem; margin: 0; }
+        h2 { font-size: 1.05rem; margin: 2rem 0 0.5rem; }
+        button { font: inherit; padding: 0.3rem 0.8rem; cursor: pointer; }
+        .muted, .empty { color: #7b8794; }
+        #connection { padding: 0 0.5rem; border-radius: 1rem; background: #fde68a; }
+        #connection.live { background: #bbf7d0; }
+        .actions { margin-left: auto; display: flex; gap: 0.5rem; align-items: center; }
+        .cards { display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 0.75rem; margin-top: 1.25rem; }
+        .card { border: 1px solid #e4e7eb; border-radius: 6px; padding: 0.75rem; }
+        .card strong { display: block; font-size: 1.5rem; }
+        svg { width: 100%; height: 90px; border: 1px solid #e4e7eb; border-radius: 6px; margin-top: 0.75rem; }
+        table { width: 100%; border-collapse: collapse; }
+        th, td { text-align: left; padding: 0.25rem 0.5rem; border-bottom: 1px solid #e4e7eb; vertical-align: top; }
+        td { word-break: break-all; }
+    </style>
+</head>
+<body>
+    <header>
+        <h1 id="server">AlphaBlue</h1>
+        <span id="connection">connecting</span>
+        <span id="details" class="muted"></span>
+        <div class="actions">
+            <span id="message" class="muted"></span>
+            <button id="reload" type="button">Reload pages</button>
+            <button id="clear-stats" type="button">Clear stats</button>
+        </div>
+    </header>
+
+    <div class="cards">
+        <div class="card">Requests/s <strong id="rate">-</strong></div>
+        <div class="card">Avg latency <strong id="latency">-</strong></div>
+        <div class="card">p95 latency <strong id="p95">-</strong></div>
+        <div class="card">Requests <strong id="total">-</strong><span id="statuses" class="muted"></span></div>
+    </div>
+    <svg viewBox="0 0 100 30" preserveAspectRatio="none" aria-label="Requests per second, last minute">
+        <polyline id="chart-line" fill="none" stroke="#2563eb" stroke-width="0.6" vector-effect="non-scaling-stroke" points=""></polyline>
+    </svg>
+    <p class="muted">Last minute, peak <span id="chart-max">-</span> · stats since <span id="since">-</span></p>
+
+    <h2>Recent errors</h2>
+    <table>
+        <thead><tr><th>Time</th><th>Status</th><th>Request</th><th>Message</th><th>Request id</th></tr></thead>
+        <tbody id="errors"></tbody>
+    </table>
+
+    <h2>Routes</h2>
+    <table>
+        <thead><tr><th>Method</th><th>Route</th><th>Requests</th><th>Avg latency</th></tr></thead>
+        <tbody id="routes"></tbody>
+    </table>
+
+    <h2>Pages</h2>
+    <p id="page-summary" class="muted"></p>
+    <table>
+        <thead><tr><th>Site</th><th>Page</th><th>Size</th></tr></thead>
+        <tbody id="pages"></tbody>
+    </table>
+
+    <script src="${ADMIN_PATH}/app.js"></script>
+</body>
+</html>
+`;
+
+// Register the dashboard routes and the hooks feeding it. Call before any other route so every route
+// is listed. options:
+//   checkAccess(request, reply) - sends the rejection and returns false when not allowed
+//   describe()                  - { name, pages: [{ site, url, bytes }], staticCache: { files, bytes } }
+//   reload()                    - re-read the pages of every site, returns a message
+// Returns { recordError(error, request, statusCode) } for the error handler
+function registerAdmin(fastify, settings, options) {
+  const stats = createAdminStats(settings);
+  const routes = [];
+  const clients = new Set();
+
+  // HEAD routes are added by Fastify for every GET route - listing them would only double the table,
+  // as would the uncompressed Range twins of the file routes
+  fastify.addHook('onRoute', routeOptions => {
+    [].concat(routeOptions.method).filter(method => method !== 'HEAD').forEach(method => {
+      if (routes.some(route => route.method === method && route.url === routeOptions.url)) return;
+      routes.push({ method, url: routeOptions.url });
+    });
+  });
+
+  // The dashboard and live reload don't count as traffic
+  fastify.addHook('onResponse', (request, reply, done) => {
+    const url = request.routeOptions.url || '';
+    if (!url.startsWith(ADMIN_PATH) && !url.startsWith(liveReload.LIVE_RELOAD_PATH)) {
+      stats.record(request, reply);
+    }
+    done();
+  });
+
+  // Registered routes with their traffic, then requests no route matched (404s)
+  function listedRoutes(routeCounts) {
+    const listed = routes.map(route => ({ ...route, counted: routeCounts.get(`${route.method} ${route.url}`) }));
+    routeCounts.forEach((counted, key) => {
+      const [method, url] = key.split(' ');
+      if (url === 'unmatched') listed.push({ method, url: '(no route)', counted });
+    });
+
+    return listed.map(({ method, url, counted }) => ({
+      method,
+      url,
+      requests: counted ? counted.count : 0,
+      avgMs: counted ? Math.round(counted.totalMs / counted.count * 100) / 100 : 0
+    }));
+  }
+
+  function state() {
+    const described = options.describe();
+    const { routes: routeCounts, ...traffic } = stats.snapshot();
+    const memoryUsage = process.memoryUsage();
+
+    return {
+      server: {
+        name: described.name,
+        pid: process.pid,
+        node: process.version,
+        uptimeSeconds: process.uptime(),
+        memory: { rss: memoryUsage.rss, heapUsed: memoryUsage.heapUsed }
+      },
+      stats: traffic,
+      routes: listedRoutes(routeCounts),
+      pages: described.pages,
+      staticCache: described.staticCache
+    };
+  }
+
+  const broadcast = () => {
+    if (clients.size === 0) return;
+    const message = `data: ${JSON.stringify(state())}\n\n`;
+    clients.forEach(client => client.write(message));
+  };
+
+  const timer = setInterval(broadcast, UPDATE_INTERVAL_MS);
+  timer.unref();
+
+  fastify.addHook('onClose', (instance, done) => {
+    clearInterval(timer);
+    clients.forEach(client => client.end());
+    clients.clear();
+    done();
+  });
+
+  fastify.get(ADMIN_PATH, (request, reply) => {
+    if (!options.checkAccess(request, reply)) return;
+
+    reply.header('content-type', 'text/html; charset=utf-8');
+    reply.header('cache-control', 'no-store');
+    reply.send(page);
+  });
+
+  fastify.get(`${ADMIN_PATH}/app.js`, (request, reply) => {
+    reply.header('content-type', 'application/javascript; charset=utf-8');
+    reply.header('cache-control', 'no-cache');
+    reply.send(clientScript);
+  });
+
+  // Same Server-Sent Events setup as live reload - the first state goes out right away
+  fastify.get(`${ADMIN_PATH}/events`, (request, reply) => {
+    if (!options.checkAccess(request, reply)) return;
+
+    reply.hijack();
+    request.raw.setTimeout(0);
+    const headers = {
+      'content-type': 'text/event-stream; charset=utf-8',
+      'cache-control': 'no-store'
+    };
+    if (request.raw.httpVersionMajor < 2) headers.connection = 'keep-alive';
+    reply.raw.writeHead(200, headers);
+    reply.raw.write(`retry: ${UPDATE_INTERVAL_MS * 2}\n\n`);
+    reply.raw.write(`data: ${JSON.stringify(state())}\n\n`);
+
+    clients.add(reply.raw);
+    request.raw.on('close', () => clients.delete(reply.raw));
+  });
+
+  // A page on another origin can set the action header too once CORS lets it (CORS_ORIGINS reflects
+  // any origin by default), so browsers must say the request is same-origin. Clients that aren't
+  // browsers (curl, scripts) send neither header
+  function crossOrigin(request) {
+    const fetchSite = request.headers['sec-fetch-site'];
+    if (fetchSite && fetchSite !== 'same-origin' && fetchSite !== 'none') return true;
+
+    const origin = request.headers.origin;
+    if (origin === undefined) return false;
+    try {
+      return new URL(origin).host !== request.hostname;
+    } catch (err) {
+      return true; // "null" from sandboxed frames and file:// pages
+    }
+  }
+
+  function registerAction(name, run) {
+    fastify.post(`${ADMIN_PATH}/${name}`, (request, reply) => {
+      if (!options.checkAccess(request, reply)) return;
+
+      if (request.headers[ACTION_HEADER] !== name) {
+        const error = new Error(`Admin actions need the ${ACTION_HEADER}: ${name} header`);
+        error.statusCode = 403;
+        throw error;
+      }
+      if (crossOrigin(request)) {
+        const error = new Error('Admin actions are only accepted from the dashboard\'s own origin');
+        error.statusCode = 403;
+        throw error;
+      }
+
+      const message = run();
+      broadcast();
+      reply.header('cache-control', 'no-store');
+      reply.send({ message });
+    });
+  }
+
+  registerAction('reload', () => options.reload());
+  registerAction('clear-stats', () => {
+    stats.clear();
+    return 'Stats cleared';
+  });
+
+  return {
+    recordError: stats.recordError
+  };
+}
+
+module.exports = {
+  ADMIN_PATH,
+  readSettings,
+  registerAdmin
+};
@@ -0,0 +1,26 @@
+// CPU affinity - pins a running process to one core (taskset on Linux, ProcessorAffinity on Windows)
+const { execFileSync } = require('child_process');
+
+function run(command, args) {
+  try {
+    execFileSync(command, args, { stdio: 'pipe' });
+  } catch (err) {
+    const reason = err.code === 'ENOENT' ? `${command} is not installed` : String(err.stderr || err.message).trim();
+    throw new Error(reason);
+  }
+}
+
+// Throws when the platform has no supported tool or the core does not exist
+function setCpuAffinity(pid, core) {
+  if (process.platform === 'win32') {
+    run('powershell', ['-Command', `(Get-Process -Id ${pid}).ProcessorAffinity = ${Math.pow(2, core)}`]);
+  } else if (process.platform === 'linux') {
+    run('taskset', ['-cp', String(core), String(pid)]);
+  } else {
+    throw new Error(`CPU affinity not supported on ${process.platform}`);
+  }
+}
+
+module.exports = {
+  setCpuAffinity
+};
@@ -0,0 +1,122 @@
+// Custom API routes - loads route modules from API_DIR and validates them with ajv
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+
+const METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+
+// Requests are coerced like Fastify's defaults (query strings are always text);
+// responses are checked exactly as the handler produced them
+const requestAjv = addFormats(new Ajv({ coerceTypes: 'array', useDefaults: true, removeAdditional: true }));
+const responseAjv = addFormats(new Ajv({ allErrors: true }));
+
+// Check one exported route definition and normalize it
+function normalizeRoute(definition, source) {
+  if (!definition || typeof definition !== 'object') {
+    throw new Error(`${source}: must export a route object or an array of route objects`);
+  }
+
+  const method = String(definition.method || 'GET').toUpperCase();
+  if (!METHODS.includes(method)) {
+    throw new Error(`${source}: unsupported method "${definition.method}"`);
+  }
+
+  if (typeof definition.path !== 'string' || !definition.path.startsWith('/')) {
+    throw new Error(`${source}: path must be a string starting with "/"`);
+  }
+
+  if (typeof definition.handler !== 'function') {
+    throw new Error(`${source}: handler must be a function`);
+  }
+
+  if (definition.schema !== undefined && (typeof definition.schema !== 'object' || definition.schema === null)) {
+    throw new Error(`${source}: schema must be an object`);
+  }
+
+  return {
+    method,
+    path: definition.path,
+    schema: definition.schema,
+    handler: definition.handler,
+    source
+  };
+}
+
+// Load every .js module in apiDir - a missing folder simply means no custom routes
+function loadApiRoutes(apiDir) {
+  if (!fs.existsSync(apiDir)) {
+    return [];
+  }
+
+  const routes = [];
+  const files = fs.readdirSync(apiDir)
+    .filter(file => /^[\w\-]+\.js$/.test(file))
+    .sort();
+
+  files.forEach(file => {
+    const exported = require(path.join(apiDir, file));
+    const definitions = Array.isArray(exported) ? exported : [exported];
+
+    definitions.forEach((definition, index) => {
+      const source = definitions.length > 1 ? `${file}[${index}]` : file;
+      routes.push(normalizeRoute(definition, source));
+    });
+  });
+
+  return routes;
+}
+
+// Pick the response schema for a status code: exact match, then 2xx-style range, then default
+function findResponseValidator(validators, statusCode) {
+  return validators[statusCode] ||
+         validators[`${String(statusCode)[0]}xx`] ||
+         validators.default;
+}
+
+// Register loaded routes on the Fastify instance
+function registerApiRoutes(fastify, routes) {
+  routes.forEach(route => {
+    const options = {
+      method: route.method,
+      url: route.path,
+      handler: route.handler
+    };
+
+    if (route.schema) {
+      options.schema = route.schema;
+      options.validatorCompiler = ({ schema }) => requestAjv.compile(schema);
+
+      if (route.schema.response) {
+        const validators = {};
+        Object.keys(route.schema.response).forEach(status => {
+          validators[status] = responseAjv.compile(route.schema.response[status]);
+        });
+
+        options.preSerialization = (request, reply, payload, done) => {
+          const validate = findResponseValidator(validators, reply.statusCode);
+          if (validate && !validate(payload)) {
+            const message = `Response validation failed for ${route.method} ${route.path}: ${responseAjv.errorsText(validate.errors)}`;
+            console.error(`⚠️  ${message}`);
+            const error = new Error(message);
+            error.statusCode = 500;
+            done(error);
+            return;
+          }
+          done(null, payload);
+        };
+      }
+    }
+
+    try {
+      fastify.route(options);
+    } catch (err) {
+      throw new Error(`${route.source}: ${err.message}`);
+    }
+  });
+}
+
+module.exports = {
+  loadApiRoutes,
+  registerApiRoutes
+};
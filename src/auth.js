@@ -0,0 +1,354 @@
+// Authentication - named API keys with scopes, HTTP Basic users and HMAC-signed JWT bearer tokens,
+// with constant-time comparison and per-IP lockout after repeated failures
+const fs = require('fs');
+const crypto = require('crypto');
+
+const METHODS = ['apiKey', 'basic', 'bearer'];
+const JWT_ALGORITHMS = { HS256: 'sha256', HS384: 'sha384', HS512: 'sha512' };
+const MIN_SECRET_LENGTH = 16;
+const CLOCK_TOLERANCE_SECONDS = 30;
+
+const DEFAULT_LOCKOUT = { maxAttempts: 5, windowSeconds: 300, lockSeconds: 900 };
+
+// Compare secrets without leaking their length or the position of the first difference
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+// "env:NAME" reads the secret from the environment so auth.json can be committed without it
+function resolveSecret(value, field, env) {
+  if (typeof value !== 'string' || !value) {
+    throw new Error(`${field} is required`);
+  }
+  if (!value.startsWith('env:')) return value;
+
+  const name = value.slice('env:'.length);
+  if (!env[name]) {
+    throw new Error(`${field} refers to environment variable ${name}, which is not set`);
+  }
+  return env[name];
+}
+
+function normalizeScopes(scopes, field) {
+  if (scopes === undefined) return [];
+  if (!Array.isArray(scopes) || scopes.some(scope => typeof scope !== 'string' || !scope)) {
+    throw new Error(`${field} must be an array of scope names`);
+  }
+  return scopes;
+}
+
+// Rule paths: exact routes or prefixes ending in /* ("/*" protects everything)
+function normalizeRule(rule, index) {
+  const field = `rules[${index}]`;
+  if (!rule || typeof rule.path !== 'string' || !/^\/([\w\-.]+\/)*([\w\-.]+|\*)?$/.test(rule.path)) {
+    throw new Error(`${field}.path must be a route like "/preview" or a prefix like "/preview/*"`);
+  }
+
+  const methods = rule.auth === undefined ? METHODS : [].concat(rule.auth);
+  methods.forEach(method => {
+    if (!METHODS.includes(method)) {
+      throw new Error(`${field}.auth must be one or more of: ${METHODS.join(', ')}`);
+    }
+  });
+
+  const pattern = rule.path.toLowerCase();
+  return {
+    path: rule.path,
+    prefix: pattern.endsWith('/*') ? pattern.slice(0, -2) : null,
+    exact: pattern.endsWith('/*') ? null : pattern.replace(/(.)\/+$/, '$1'),
+    methods,
+    httpMethods: rule.methods ? [].concat(rule.methods).map(method => String(method).toUpperCase()) : null,
+    scopes: normalizeScopes(rule.scopes, `${field}.scopes`),
+    realm: typeof rule.realm === 'string' && rule.realm ? rule.realm.replace(/"/g, '') : 'Restricted'
+  };
+}
+
+// Validate an auth config object ({ apiKeys, users, tokens, rules, lockout }) and resolve its secrets
+function normalizeConfig(config, env) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('must contain a JSON object');
+  }
+
+  const apiKeys = (config.apiKeys || []).map((entry, index) => {
+    const field = `apiKeys[${index}]`;
+    if (!entry || typeof entry.name !== 'string' || !entry.name) {
+      throw new Error(`${field}.name is required`);
+    }
+    const key = resolveSecret(entry.key, `${field}.key`, env);
+    if (key.length < MIN_SECRET_LENGTH) {
+      throw new Error(`${field}.key must be at least ${MIN_SECRET_LENGTH} characters`);
+    }
+    return { name: entry.name, key, scopes: normalizeScopes(entry.scopes, `${field}.scopes`) };
+  });
+
+  const users = (config.users || []).map((entry, index) => {
+    const field = `users[${index}]`;
+    if (!entry || typeof entry.username !== 'string' || !entry.username || entry.username.includes(':')) {
+      throw new Error(`${field}.username is required and may not contain ":"`);
+    }
+    return {
+      name: entry.username,
+      password: resolveSecret(entry.password, `${field}.password`, env),
+      scopes: normalizeScopes(entry.scopes, `${field}.scopes`)
+    };
+  });
+
+  let tokens = null;
+  if (config.tokens) {
+    const secret = resolveSecret(config.tokens.secret, 'tokens.secret', env);
+    if (secret.length < MIN_SECRET_LENGTH) {
+      throw new Error(`tokens.secret must be at least ${MIN_SECRET_LENGTH} characters`);
+    }
+    const algorithms = [].concat(config.tokens.algorithms || ['HS256']);
+    algorithms.forEach(algorithm => {
+      if (!JWT_ALGORITHMS[algorithm]) {
+        throw new Error(`tokens.algorithms supports ${Object.keys(JWT_ALGORITHMS).join(', ')}`);
+      }
+    });
+    tokens = { secret, algorithms, issuer: config.tokens.issuer, audience: config.tokens.audience };
+  }
+
+  const lockout = { ...DEFAULT_LOCKOUT, ...(config.lockout || {}) };
+  Object.keys(DEFAULT_LOCKOUT).forEach(name => {
+    if (!Number.isInteger(lockout[name]) || lockout[name] < 0) {
+      throw new Error(`lockout.${name} must be a whole number`);
+    }
+  });
+
+  return {
+    apiKeys,
+    users,
+    tokens,
+    rules: (config.rules || []).map(normalizeRule),
+    lockout
+  };
+}
+
+// Read the auth config file (optional) and add the legacy HEALTH_CHECK_API_KEY as a key with the
+// health, metrics and admin scopes
+function loadAuthConfig(configFile, env = process.env) {
+  let config = {};
+  if (fs.existsSync(configFile)) {
+    try {
+      config = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+    } catch (err) {
+      throw new Error(`${configFile}: ${err.message}`);
+    }
+  }
+
+  let normalized;
+  try {
+    normalized = normalizeConfig(config, env);
+  } catch (err) {
+    throw new Error(`${configFile}: ${err.message}`);
+  }
+
+  const healthKey = env.HEALTH_CHECK_API_KEY;
+  normalized.defaultHealthKey = healthKey === 'dev-health-check-key-12345';
+  if (healthKey && !normalized.defaultHealthKey) {
+    normalized.apiKeys.push({ name: 'HEALTH_CHECK_API_KEY', key: healthKey, scopes: ['health', 'metrics', 'admin'] });
+  }
+
+  normalized.queryKeys = env.AUTH_QUERY_KEYS === 'true';
+  return normalized;
+}
+
+// The path as the router sees it: without query (or ;parameters), percent-decoded, repeated slashes
+// collapsed and lower-cased (routing is case-insensitive). Matching rules against the raw URL would
+// let //preview/page or /%70review/page through to a page under /preview
+function requestPath(url) {
+  let pathname = url.split(/[?;]/)[0];
+  try {
+    pathname = decodeURIComponent(pathname);
+  } catch (err) {
+    // Malformed escapes are rejected by the router - keep the raw path
+  }
+  return pathname.replace(/\/{2,}/g, '/').toLowerCase();
+}
+
+function base64UrlJson(part) {
+  return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+}
+
+// Verify an HMAC-signed JWT against the local secret - returns its claims or null
+function verifyJwt(token, options) {
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  let header;
+  let claims;
+  try {
+    header = base64UrlJson(parts[0]);
+    claims = base64UrlJson(parts[1]);
+  } catch (err) {
+    return null;
+  }
+
+  // Only the configured HMAC algorithms - never "none" or whatever the token asks for
+  if (!header || !options.algorithms.includes(header.alg) || !claims || typeof claims !== 'object') {
+    return null;
+  }
+
+  const expected = crypto.createHmac(JWT_ALGORITHMS[header.alg], options.secret)
+    .update(`${parts[0]}.${parts[1]}`)
+    .digest('base64url');
+  if (!safeEqual(expected, parts[2])) return null;
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp === 'number' && now > claims.exp + CLOCK_TOLERANCE_SECONDS) return null;
+  if (typeof claims.nbf === 'number' && now < claims.nbf - CLOCK_TOLERANCE_SECONDS) return null;
+  if (options.issuer && claims.iss !== options.issuer) return null;
+  if (options.audience && ![].concat(claims.aud).includes(options.audience)) return null;
+
+  return claims;
+}
+
+// Scopes from a token: OAuth-style "scope" string or a "scopes" array
+function tokenScopes(claims) {
+  if (typeof claims.scope === 'string') return claims.scope.split(' ').filter(Boolean);
+  if (Array.isArray(claims.scopes)) return claims.scopes.map(String);
+  return [];
+}
+
+function hasScopes(identity, required) {
+  return identity.scopes.includes('*') || required.every(scope => identity.scopes.includes(scope));
+}
+
+// authenticate(request, { methods, scopes }) returns
+//   { ok: true, identity: { type, name, scopes } } or
+//   { ok: false, statusCode: 401 | 403 | 429, message, retryAfter? }
+function createAuth(config) {
+  const failures = new Map(); // ip → { count, firstAt, lockedUntil }
+
+  // Drop stale lockout entries so the map can't grow without bound
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    failures.forEach((entry, ip) => {
+      if (entry.lockedUntil < now && now - entry.firstAt > config.lockout.windowSeconds * 1000) {
+        failures.delete(ip);
+      }
+    });
+  }, 60000);
+  cleanup.unref();
+
+  function lockedFor(ip) {
+    const entry = failures.get(ip);
+    if (!entry || entry.lockedUntil <= Date.now()) return 0;
+    return Math.ceil((entry.lockedUntil - Date.now()) / 1000);
+  }
+
+  function recordFailure(ip) {
+    if (config.lockout.maxAttempts === 0) return;
+
+    const now = Date.now();
+    let entry = failures.get(ip);
+    if (!entry || now - entry.firstAt > config.lockout.windowSeconds * 1000) {
+      entry = { count: 0, firstAt: now, lockedUntil: 0 };
+      failures.set(ip, entry);
+    }
+    entry.count++;
+    if (entry.count >= config.lockout.maxAttempts) {
+      entry.lockedUntil = now + config.lockout.lockSeconds * 1000;
+      entry.count = 0;
+      entry.firstAt = now;
+    }
+  }
+
+  // Which credentials did the request bring? Returns { type, identity } with identity null when invalid
+  function identify(request, methods) {
+    const authorization = (request.headers.authorization || '').trim();
+    const space = authorization.indexOf(' ');
+    const scheme = space === -1 ? '' : authorization.slice(0, space).toLowerCase();
+    const value = space === -1 ? '' : authorization.slice(space + 1).trim();
+
+    if (methods.includes('basic') && scheme === 'basic') {
+      const decoded = Buffer.from(value, 'base64').toString('utf8');
+      const separator = decoded.indexOf(':');
+      const username = separator === -1 ? decoded : decoded.slice(0, separator);
+      const password = separator === -1 ? '' : decoded.slice(separator + 1);
+      // Check every user so the response time doesn't reveal which usernames exist
+      let match = null;
+      config.users.forEach(user => {
+        const validName = safeEqual(user.name, username);
+        const validPassword = safeEqual(user.password, password);
+        if (validName && validPassword && !match) match = user;
+      });
+      return { presented: true, identity: match && { type: 'basic', name: match.name, scopes: match.scopes } };
+    }
+
+    if (methods.includes('bearer') && scheme === 'bearer' && config.tokens) {
+      const claims = verifyJwt(value, config.tokens);
+      return {
+        presented: true,
+        identity: claims && { type: 'bearer', name: claims.sub ? String(claims.sub) : 'token', scopes: tokenScopes(claims), claims }
+      };
+    }
+
+    if (methods.includes('apiKey')) {
+      const apiKey = request.headers['x-api-key'] || (config.queryKeys && request.query && request.query.key);
+      if (apiKey) {
+        let match = null;
+        config.apiKeys.forEach(entry => {
+          if (safeEqual(entry.key, apiKey) && !match) match = entry;
+        });
+        return { presented: true, identity: match && { type: 'apiKey', name: match.name, scopes: match.scopes } };
+      }
+    }
+
+    return { presented: false, identity: null };
+  }
+
+  function authenticate(request, options) {
+    const methods = options.methods || METHODS;
+    const scopes = options.scopes || [];
+
+    const retryAfter = lockedFor(request.ip);
+    if (retryAfter > 0) {
+      return { ok: false, statusCode: 429, message: 'Too many failed authentication attempts', retryAfter };
+    }
+
+    const { presented, identity } = identify(request, methods);
+    if (!identity) {
+      if (presented) recordFailure(request.ip);
+      return { ok: false, statusCode: 401, message: presented ? 'Invalid credentials' : 'Authentication required' };
+    }
+
+    // Failures only expire with the window - a success with another valid credential (a low-privilege
+    // key the attacker holds) must not reset the count of guesses against the others
+    if (!hasScopes(identity, scopes)) {
+      return { ok: false, statusCode: 403, message: `Missing scope: ${scopes.filter(scope => !identity.scopes.includes(scope)).join(', ')}` };
+    }
+    return { ok: true, identity };
+  }
+
+  // First rule protecting a request, or null
+  function ruleFor(request) {
+    const pathname = requestPath(request.url);
+    const trimmed = pathname.length > 1 ? pathname.replace(/\/+$/, '') : pathname;
+
+    return config.rules.find(rule => {
+      // CORS preflights carry no credentials - only rules listing OPTIONS explicitly apply to them
+      if (rule.httpMethods ? !rule.httpMethods.includes(request.method) : request.method === 'OPTIONS') return false;
+      if (rule.exact !== null) return trimmed === rule.exact;
+      return rule.prefix === '' || trimmed === rule.prefix || trimmed.startsWith(`${rule.prefix}/`);
+    }) || null;
+  }
+
+  // WWW-Authenticate challenge for a 401 - Basic makes browsers show their password prompt
+  function challenge(methods, realm) {
+    if (methods.includes('basic')) return `Basic realm="${realm}", charset="UTF-8"`;
+    if (methods.includes('bearer')) return `Bearer realm="${realm}"`;
+    return null;
+  }
+
+  return { authenticate, ruleFor, challenge };
+}
+
+module.exports = {
+  METHODS,
+  requestPath,
+  loadAuthConfig,
+  createAuth
+};
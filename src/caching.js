@@ -0,0 +1,120 @@
+// HTTP caching - ETags, conditional GET, per-route Cache-Control and asset fingerprinting
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Strong ETag for a cached representation, computed once at load time
+function computeEtag(content, suffix) {
+  const hash = crypto.createHash('sha256').update(content).digest('base64url').slice(0, 27);
+  return suffix ? `"${hash}-${suffix}"` : `"${hash}"`;
+}
+
+// Validators for one cached page - every encoded variant gets its own ETag
+function pageValidators(content, modified, encodings) {
+  const etag = computeEtag(content);
+  const etags = { identity: etag };
+  encodings.forEach(encoding => {
+    etags[encoding] = computeEtag(content, encoding);
+  });
+
+  // HTTP dates only carry whole seconds
+  const modifiedSeconds = Math.floor(modified.getTime() / 1000);
+
+  return {
+    etags,
+    lastModified: new Date(modifiedSeconds * 1000).toUTCString(),
+    modifiedSeconds
+  };
+}
+
+// RFC 9110: If-None-Match wins over If-Modified-Since and uses weak comparison
+function isNotModified(headers, validators) {
+  const ifNoneMatch = headers['if-none-match'];
+  if (ifNoneMatch !== undefined) {
+    if (ifNoneMatch.trim() === '*') return true;
+
+    const known = Object.values(validators.etags);
+    return ifNoneMatch.split(',').some(tag => known.includes(tag.trim().replace(/^W\//, '')));
+  }
+
+  const ifModifiedSince = Date.parse(headers['if-modified-since']);
+  if (!isNaN(ifModifiedSince)) {
+    return validators.modifiedSeconds * 1000 <= ifModifiedSince;
+  }
+
+  return false;
+}
+
+// PAGE_CACHE_RULES: "/docs/*=public, max-age=300 | /preview=no-store"
+// Exact routes or prefix patterns ending in /*; the first matching rule wins
+function parseCacheRules(value) {
+  return (value || '').split('|').map(rule => rule.trim()).filter(Boolean).map(rule => {
+    const separator = rule.indexOf('=');
+    if (separator === -1) {
+      throw new Error(`Invalid cache rule "${rule}" - expected "<route>=<cache-control>"`);
+    }
+
+    const pattern = rule.slice(0, separator).trim().toLowerCase();
+    const cacheControl = rule.slice(separator + 1).trim();
+    if (!pattern.startsWith('/') || !cacheControl) {
+      throw new Error(`Invalid cache rule "${rule}" - expected "<route>=<cache-control>"`);
+    }
+
+    return { pattern, cacheControl };
+  });
+}
+
+// Find the Cache-Control value for a page route
+function cacheControlFor(rules, route, fallback) {
+  const target = route.toLowerCase();
+  const match = rules.find(rule => {
+    if (rule.pattern.endsWith('/*')) {
+      const prefix = rule.pattern.slice(0, -1);
+      return target.startsWith(prefix) || target === prefix.slice(0, -1);
+    }
+    return rule.pattern === target;
+  });
+  return match ? match.cacheControl : fallback;
+}
+
+// Hash every asset: css/style.css → css/style.3f2a1b9c.css (dotfiles are skipped)
+function buildAssetManifest(assetsDir, relativeDir = '') {
+  let manifest = {};
+  const dir = path.join(assetsDir, relativeDir);
+  if (!fs.existsSync(dir)) return manifest;
+
+  fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+    if (entry.name.startsWith('.')) return;
+
+    const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      manifest = { ...manifest, ...buildAssetManifest(assetsDir, relativePath) };
+    } else if (entry.isFile()) {
+      const hash = crypto.createHash('sha256')
+        .update(fs.readFileSync(path.join(assetsDir, relativePath)))
+        .digest('hex')
+        .slice(0, 8);
+      const extension = path.extname(entry.name);
+      const base = relativePath.slice(0, relativePath.length - extension.length);
+      manifest[relativePath] = `${base}.${hash}${extension}`;
+    }
+  });
+
+  return manifest;
+}
+
+// Point /assets/<file> references in a page at the fingerprinted file names
+function rewriteAssetUrls(html, manifest) {
+  return html.replace(/\/assets\/([\w\-.\/]+)/g, (match, file) => {
+    return manifest[file] ? `/assets/${manifest[file]}` : match;
+  });
+}
+
+module.exports = {
+  pageValidators,
+  isNotModified,
+  parseCacheRules,
+  cacheControlFor,
+  buildAssetManifest,
+  rewriteAssetUrls
+};
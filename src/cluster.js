@@ -0,0 +1,184 @@
+// Cluster mode - forks one simple-api.js worker per core on a shared port, restarts crashed
+// workers with backoff, rolls restarts on SIGHUP and aggregates worker stats for /health
+const cluster = require('cluster');
+const os = require('os');
+const path = require('path');
+const tls = require('./tls');
+
+const MIN_BACKOFF = 1000;
+const MAX_BACKOFF = 30000;
+const STABLE_AFTER = 30000; // A worker that lived this long resets its slot's backoff
+const SHUTDOWN_TIMEOUT = 10000;
+const STATS_INTERVAL = 5000;
+
+function defaultWorkerCount() {
+  return typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+}
+
+function startCluster(options) {
+  const workerCount = options.workers || defaultWorkerCount();
+  const slots = [];
+  const stats = new Map();
+  let restarts = 0;
+  let shuttingDown = false;
+  let rolling = false;
+
+  // Create the development certificate here once, so workers don't race to generate it
+  const tlsSettings = tls.readSettings();
+  if (tlsSettings.enabled) {
+    try {
+      tls.loadCredentials(tlsSettings, process.env.HOST);
+    } catch (err) {
+      console.error('❌ Could not set up HTTPS:', err.message);
+      process.exit(1);
+    }
+  }
+
+  // Only the first slot's stdout is shown so the dashboard prints once; errors come from every worker
+  cluster.setupPrimary({
+    exec: path.join(__dirname, 'simple-api.js'),
+    args: [String(options.port)],
+    silent: true
+  });
+
+  function fork(slot) {
+    const worker = cluster.fork({ CLUSTER_SLOT: String(slot.index) });
+    worker.slot = slot;
+    worker.startedAt = Date.now();
+    slot.worker = worker;
+
+    if (slot.index === 0) worker.process.stdout.pipe(process.stdout);
+    else worker.process.stdout.resume();
+    worker.process.stderr.pipe(process.stderr);
+
+    worker.on('message', (message) => {
+      if (message && message.type === 'alphablue:stats') {
+        stats.set(worker.id, { slot: slot.index, ...message.stats });
+      }
+    });
+
+    return worker;
+  }
+
+  // Crashed workers come back after an exponential delay so a broken build can't spin the CPU
+  function scheduleRestart(worker, reason) {
+    const slot = worker.slot;
+    if (Date.now() - worker.startedAt >= STABLE_AFTER) slot.failures = 0;
+    slot.failures++;
+    restarts++;
+
+    const delay = Math.min(MIN_BACKOFF * Math.pow(2, slot.failures - 1), MAX_BACKOFF);
+    console.log(`⚠️  Worker ${worker.process.pid} exited (${reason}), restarting in ${delay / 1000}s`);
+    slot.timer = setTimeout(() => {
+      slot.timer = null;
+      if (!shuttingDown) fork(slot);
+    }, delay);
+  }
+
+  // Only the slot's current worker is restarted - a worker replaced by a rolling restart is not,
+  // and a replacement that is still starting is handled by the rolling restart
+  cluster.on('exit', (worker, code, signal) => {
+    stats.delete(worker.id);
+    if (shuttingDown || worker.retiring || worker !== worker.slot.worker) return;
+    scheduleRestart(worker, signal || code);
+  });
+
+  // Ask a worker to finish in-flight requests and exit, force-killing it if it hangs
+  function retire(worker) {
+    return new Promise(resolve => {
+      worker.retiring = true;
+      if (worker.isDead()) {
+        resolve();
+        return;
+      }
+      const timer = setTimeout(() => worker.process.kill('SIGKILL'), SHUTDOWN_TIMEOUT);
+      worker.once('exit', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      worker.kill('SIGTERM');
+    });
+  }
+
+  // Zero-downtime restart: replace workers one at a time, retiring each only after its
+  // replacement is listening
+  async function rollingRestart() {
+    if (rolling || shuttingDown) return;
+    rolling = true;
+    console.log('🔄 Rolling restart of cluster workers...');
+    let completed = true;
+
+    for (const slot of slots) {
+      if (shuttingDown) break;
+      const previous = slot.worker;
+      const replacement = fork(slot);
+      // Until it listens, the exit handler leaves the replacement to us
+      replacement.retiring = true;
+
+      const started = await new Promise(resolve => {
+        replacement.once('listening', () => resolve(true));
+        replacement.once('exit', () => resolve(false));
+      });
+      if (!started) {
+        console.error('❌ Replacement worker failed to start - rolling restart stopped');
+        // Keep the previous worker in the slot, or restart the slot if it is gone too
+        slot.worker = previous;
+        if (previous && previous.isDead() && !shuttingDown) scheduleRestart(previous, 'during the rolling restart');
+        completed = false;
+        break;
+      }
+      replacement.retiring = false;
+
+      if (previous) await retire(previous);
+    }
+
+    rolling = false;
+    if (completed) console.log('✅ Rolling restart complete');
+  }
+
+  async function shutdown() {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    console.log('🛑 Stopping cluster workers...');
+
+    slots.forEach(slot => clearTimeout(slot.timer));
+    await Promise.all(Object.values(cluster.workers).map(retire));
+    process.exit(0);
+  }
+
+  // Share the aggregated view with every worker so any of them can answer /health
+  const broadcast = setInterval(() => {
+    const workers = [...stats.values()];
+    const summary = {
+      workers: workers.length,
+      configuredWorkers: workerCount,
+      restarts,
+      totalRequests: workers.reduce((sum, worker) => sum + worker.requests, 0),
+      totalRssBytes: workers.reduce((sum, worker) => sum + worker.memoryBytes.rss, 0),
+      processes: workers.sort((a, b) => a.slot - b.slot)
+    };
+
+    Object.values(cluster.workers).forEach(worker => {
+      if (worker.isConnected()) worker.send({ type: 'alphablue:cluster', cluster: summary });
+    });
+  }, STATS_INTERVAL);
+  broadcast.unref();
+
+  process.on('SIGHUP', rollingRestart);
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  console.log(`🧩 Cluster mode: ${workerCount} workers on port ${options.port} (primary ${process.pid})`);
+  console.log(`🔄 Send SIGHUP to ${process.pid} for a zero-downtime rolling restart`);
+
+  for (let index = 0; index < workerCount; index++) {
+    const slot = { index, worker: null, failures: 0, timer: null };
+    slots.push(slot);
+    fork(slot);
+  }
+}
+
+module.exports = {
+  startCluster,
+  defaultWorkerCount
+};
@@ -0,0 +1,394 @@
+// Configuration - every setting in one schema, layered from lowest to highest precedence:
+// defaults → alphablue.config.js / .json → .env → environment variables → command-line flags.
+// Values are validated with ajv; the winners are written to process.env, which the rest of the
+// server keeps reading
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const Ajv = require('ajv');
+
+const projectDir = path.resolve(__dirname, '..');
+const CONFIG_FILES = ['alphablue.config.js', 'alphablue.config.json'];
+
+const port = { type: 'integer', minimum: 0, maximum: 65535 };
+const positive = { type: 'integer', minimum: 1 };
+const count = { type: 'integer', minimum: 0 };
+const flag = { type: 'boolean' };
+const text = { type: 'string' };
+// "10m", "512k" or bytes
+const size = { type: 'string', pattern: '^\\d+\\s*[kmgKMG]?[bB]?$' };
+// "false" turns these off, anything else is a value
+const textOrOff = { type: ['boolean', 'string'] };
+
+// name: environment variable; the config file key is its camelCase form (bodyLimit) and the
+// flag its kebab-case form (--body-limit). defaultText describes defaults computed at runtime
+const SETTINGS = [
+  // Server
+  { name: 'PORT', schema: port, default: 3000 },
+  { name: 'HOST', schema: text, default: '0.0.0.0' },
+  { name: 'SERVER_NAME', schema: text, defaultText: 'Simple-API-<port>' },
+
+  // HTTPS
+  { name: 'HTTPS', schema: flag, default: false },
+  { name: 'HTTPS_CERT', schema: text, default: '' },
+  { name: 'HTTPS_KEY', schema: text, default: '' },
+  { name: 'HTTPS_CERT_DIR', schema: text, default: '.certs' },
+  { name: 'HTTPS_HOSTNAMES', schema: text, default: '' },
+  { name: 'HTTP2', schema: flag, default: false },
+  { name: 'HTTP_REDIRECT_PORT', schema: port, default: 0 },
+
+  // Performance
+  { name: 'BODY_LIMIT', schema: positive, default: 1024 },
+  { name: 'REQUEST_TIMEOUT', schema: count, default: 30000 },
+  { name: 'KEEP_ALIVE_TIMEOUT', schema: positive, default: 5000 },
+  { name: 'CONNECTION_TIMEOUT', schema: count, default: 5000 },
+  { name: 'MAX_PARAM_LENGTH', schema: positive, default: 100 },
+
+  // Folders and files
+  { name: 'PUBLIC_DIR', schema: text, default: 'public' },
+  { name: 'API_DIR', schema: text, default: 'api' },
+  { name: 'DATA_DIR', schema: text, default: 'data' },
+  { name: 'PROXY_CONFIG', schema: text, default: 'proxy.json' },
+  { name: 'AUTH_CONFIG', schema: text, default: 'auth.json' },
+  { name: 'HEALTH_CHECKS_DIR', schema: text, default: 'checks' },
+  { name: 'SITES_CONFIG', schema: text, default: 'sites.json' },
+
+  // Development
+  { name: 'LIVE_RELOAD', schema: flag, default: false },
+  { name: 'MOCK_DATA_PERSIST', schema: flag, default: false },
+  { name: 'ERROR_DEBUG', schema: flag, default: false },
+  { name: 'SPA_FALLBACK', schema: textOrOff, default: false },
+
+  // Security
+  { name: 'TRUST_PROXY', schema: flag, default: false },
+  { name: 'HEALTH_CHECK_API_KEY', schema: text, default: '', secret: true },
+  { name: 'AUTH_QUERY_KEYS', schema: flag, default: false },
+  { name: 'HEALTH_PROBES_REQUIRE_KEY', schema: flag, default: false },
+  { name: 'HEALTH_EVENT_LOOP_WARN_MS', schema: positive, default: 100 },
+  { name: 'HEALTH_EVENT_LOOP_FAIL_MS', schema: positive, default: 1000 },
+  { name: 'METRICS', schema: flag, default: false },
+  { name: 'ADMIN_DASHBOARD', schema: flag, default: false },
+  { name: 'CORS_ORIGINS', schema: textOrOff, default: '' },
+  { name: 'CORS_CREDENTIALS', schema: flag, default: true },
+  { name: 'SECURITY_HEADERS', schema: flag, default: false },
+  { name: 'CONTENT_SECURITY_POLICY', schema: textOrOff, default: '' },
+  { name: 'RATE_LIMIT_MAX', schema: count, default: 0 },
+  { name: 'RATE_LIMIT_WINDOW', schema: text, default: '1 minute' },
+  { name: 'HEALTH_RATE_LIMIT_MAX', schema: count, default: 0 },
+
+  // Logging
+  { name: 'ENABLE_LOGGING', schema: flag, default: false },
+  { name: 'LOG_FORMAT', schema: { enum: ['json', 'pretty', 'combined'] }, default: 'json' },
+  { name: 'LOG_LEVEL', schema: { enum: ['fatal', 'error', 'warn', 'info', 'debug', 'trace', 'silent'] }, default: 'info' },
+  { name: 'LOG_FILE', schema: text, default: '' },
+  { name: 'LOG_MAX_SIZE', schema: size, default: '10m' },
+  { name: 'LOG_MAX_FILES', schema: positive, default: 5 },
+  { name: 'LOG_SAMPLE_RATE', schema: { type: 'number', minimum: 0, maximum: 1 }, default: 1 },
+  { name: 'LOG_HEADERS', schema: flag, default: false },
+  { name: 'LOG_REDACT', schema: text, default: '' },
+  { name: 'REQUEST_ID_HEADER', schema: textOrOff, default: 'x-request-id' },
+
+  // Request recording
+  { name: 'RECORD_FILE', schema: text, default: '' },
+  { name: 'RECORD_PATHS', schema: text, default: '' },
+
+  // Compression and caching
+  { name: 'COMPRESSION', schema: flag, default: false },
+  { name: 'COMPRESSION_THRESHOLD', schema: positive, default: 1024 },
+  { name: 'PAGE_CACHE_CONTROL', schema: text, default: 'no-cache' },
+  { name: 'PAGE_CACHE_RULES', schema: text, default: '' },
+  { name: 'ASSET_FINGERPRINT', schema: flag, default: false },
+
+  // Static files
+  { name: 'STATIC_FILES', schema: flag, default: true },
+  { name: 'STATIC_DIRECTORY_LISTING', schema: flag, default: false },
+  { name: 'STATIC_CACHE_SIZE', schema: size, default: '32m' },
+  { name: 'STATIC_CACHE_MAX_FILE_SIZE', schema: size, default: '1m' },
+
+  // Static export
+  { name: 'EXPORT_DIR', schema: text, default: 'dist' },
+  { name: 'EXPORT_FORMAT', schema: { enum: ['directory', 'file'] }, default: 'directory' },
+  { name: 'EXPORT_BASE_URL', schema: text, defaultText: 'http://localhost:<port>' },
+  { name: 'EXPORT_IGNORE_PATHS', schema: text, default: '/health' },
+
+  // CPU usage and benchmarks
+  { name: 'SINGLE_CORE_MODE', schema: flag, default: false },
+  { name: 'CPU_CORE_NUMBER', schema: count, default: 0 },
+  { name: 'THREAD_POOL_SIZE', schema: { type: 'integer', minimum: 1, maximum: 1024 }, defaultText: 'libuv default (4)' },
+  { name: 'CLUSTER_WORKERS', schema: count, defaultText: 'one per CPU core' },
+  { name: 'BENCHMARK_URL', schema: text, defaultText: 'boot a dedicated server' }
+];
+
+function fileKey(name) {
+  return name.toLowerCase().replace(/_([a-z0-9])/g, (match, char) => char.toUpperCase());
+}
+
+function flagName(name) {
+  return `--${name.toLowerCase().replace(/_/g, '-')}`;
+}
+
+const byName = new Map(SETTINGS.map(setting => [setting.name, setting]));
+const byFileKey = new Map(SETTINGS.map(setting => [fileKey(setting.name), setting]));
+const byFlag = new Map(SETTINGS.map(setting => [flagName(setting.name), setting]));
+
+const schema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: Object.fromEntries(SETTINGS.map(setting => [fileKey(setting.name), setting.schema]))
+};
+
+// Config files are JSON/JS and must use real types; env vars and flags are strings and get coerced
+const validateFile = new Ajv({ allErrors: true, allowUnionTypes: true }).compile(schema);
+const validateStrings = new Ajv({ allErrors: true, allowUnionTypes: true, coerceTypes: true }).compile(schema);
+
+// Closest known name for "did you mean" hints (edit distance up to 2)
+function suggest(input, candidates) {
+  let best = null;
+  let bestDistance = 3;
+  for (const candidate of candidates) {
+    const distance = editDistance(input.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Turn ajv errors into "BODY_LIMIT in .env: must be integer (got "1k")" lines
+function describeErrors(errors, layer, raw) {
+  return errors.map(error => {
+    if (error.keyword === 'additionalProperties') {
+      const key = error.params.additionalProperty;
+      const hint = suggest(key, byFileKey.keys());
+      return `Unknown setting "${key}" in ${layer.source}${hint ? ` - did you mean "${hint}"?` : ''}`;
+    }
+    const key = error.instancePath.slice(1);
+    const setting = byFileKey.get(key);
+    const label = layer.keyLabel(setting);
+    const allowed = error.keyword === 'enum' ? `: ${error.params.allowedValues.join(', ')}` : '';
+    return `${label} in ${layer.source}: ${error.message}${allowed} (got ${JSON.stringify(raw[key])})`;
+  });
+}
+
+// Known settings from a string map (env vars, .env or flags), keyed by config file key.
+// Empty strings count as unset for anything that isn't text
+function fromStrings(values) {
+  const picked = {};
+  SETTINGS.forEach(setting => {
+    const value = values[setting.name];
+    if (value === undefined) return;
+    if (value === '' && !String(setting.schema.type).includes('string')) return;
+    picked[fileKey(setting.name)] = value;
+  });
+  return picked;
+}
+
+function validateLayer(layer, problems) {
+  const raw = { ...layer.values };
+  const validate = layer.strings ? validateStrings : validateFile;
+  if (!validate(layer.values)) {
+    problems.push(...describeErrors(validate.errors, layer, raw));
+  }
+}
+
+// Find alphablue.config.js / .json in the project folder (or use the given file)
+function readConfigFile(file) {
+  let configFile = file ? path.resolve(projectDir, file) : null;
+  if (!configFile) {
+    const found = CONFIG_FILES.map(name => path.join(projectDir, name)).filter(candidate => fs.existsSync(candidate));
+    if (found.length > 1) {
+      throw new Error(`Both ${CONFIG_FILES.join(' and ')} exist - keep one of them`);
+    }
+    configFile = found[0];
+  }
+  if (!configFile) return null;
+
+  let values;
+  try {
+    if (configFile.endsWith('.js')) {
+      delete require.cache[configFile];
+      values = require(configFile);
+    } else {
+      values = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+    }
+  } catch (err) {
+    throw new Error(`${path.basename(configFile)}: ${err.message}`);
+  }
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    throw new Error(`${path.basename(configFile)} must contain an object of settings`);
+  }
+  return { file: configFile, values: { ...values } };
+}
+
+// Split command-line arguments into positionals and known setting flags:
+// --port 3001, --port=3001, --https (booleans), --no-https
+function parseFlags(argv) {
+  const positional = [];
+  const flags = {};
+
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const [option, inlineValue] = arg.split(/=(.*)/s);
+    const negated = option.startsWith('--no-') && byFlag.has(`--${option.slice(5)}`);
+    const setting = byFlag.get(negated ? `--${option.slice(5)}` : option);
+    if (!setting) {
+      const hint = suggest(option, byFlag.keys());
+      throw new Error(`Unknown option ${option}${hint ? ` - did you mean ${hint}?` : ''}`);
+    }
+
+    const isBoolean = setting.schema.type === 'boolean';
+    if (negated) {
+      flags[setting.name] = 'false';
+    } else if (inlineValue !== undefined) {
+      flags[setting.name] = inlineValue;
+    } else if (isBoolean && (argv[index + 1] === undefined || !/^(true|false)$/.test(argv[index + 1]))) {
+      flags[setting.name] = 'true';
+    } else if (argv[index + 1] === undefined) {
+      throw new Error(`${option} needs a value`);
+    } else {
+      flags[setting.name] = argv[++index];
+    }
+  }
+
+  return { positional, flags };
+}
+
+// Resolve every setting from its layers. Throws one error listing every problem found
+function loadConfig(options = {}) {
+  const env = options.env || process.env;
+  const envFile = options.envFile === undefined ? path.join(projectDir, '.env') : options.envFile;
+  const problems = [];
+  const warnings = [];
+  const layers = [];
+
+  const configFile = readConfigFile(options.configFile);
+  if (configFile) {
+    layers.push({
+      source: path.basename(configFile.file),
+      strings: false,
+      values: configFile.values,
+      keyLabel: setting => fileKey(setting.name)
+    });
+  }
+
+  let dotenvValues = {};
+  if (envFile && fs.existsSync(envFile)) {
+    dotenvValues = dotenv.parse(fs.readFileSync(envFile));
+    // A typo in .env is otherwise silently ignored
+    Object.keys(dotenvValues).forEach(name => {
+      if (byName.has(name)) return;
+      const hint = suggest(name, byName.keys());
+      if (hint) warnings.push(`.env sets ${name} - did you mean ${hint}?`);
+    });
+    // The environment wins over .env, as with dotenv
+    const fromFile = Object.fromEntries(Object.entries(dotenvValues).filter(([name]) => env[name] === undefined));
+    layers.push({ source: '.env', strings: true, values: fromStrings(fromFile), keyLabel: setting => setting.name });
+  }
+
+  layers.push({ source: 'environment', strings: true, values: fromStrings(env), keyLabel: setting => setting.name });
+  layers.push({ source: 'command line', strings: true, values: fromStrings(options.flags || {}), keyLabel: setting => flagName(setting.name) });
+
+  layers.forEach(layer => validateLayer(layer, problems));
+  if (problems.length > 0) {
+    throw new Error(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+  }
+
+  const values = {};
+  const sources = {};
+  SETTINGS.forEach(setting => {
+    values[setting.name] = setting.default;
+    sources[setting.name] = 'default';
+  });
+  layers.forEach(layer => {
+    Object.entries(layer.values).forEach(([key, value]) => {
+      const setting = byFileKey.get(key);
+      values[setting.name] = value;
+      sources[setting.name] = layer.source;
+    });
+  });
+
+  return {
+    values,
+    sources,
+    warnings,
+    configFile: configFile ? configFile.file : null,
+    // .env entries that aren't settings (e.g. secrets referenced as env:NAME in auth.json)
+    passthrough: Object.fromEntries(Object.entries(dotenvValues).filter(([name]) => !byName.has(name)))
+  };
+}
+
+// Write the resolved values to process.env so every module sees one consistent view.
+// Settings still at their default stay unset, like before
+function applyConfig(config, target = process.env) {
+  Object.entries(config.passthrough).forEach(([name, value]) => {
+    if (target[name] === undefined) target[name] = value;
+  });
+  SETTINGS.forEach(setting => {
+    if (config.sources[setting.name] !== 'default') {
+      target[setting.name] = String(config.values[setting.name]);
+    }
+  });
+}
+
+// Validate the settings present in an env object (createServer's env option) - no file layers.
+// Returns every setting by name, coerced to its type (REQUEST_TIMEOUT=0 → 0) or at its default
+function checkEnv(env) {
+  const problems = [];
+  const layer = { source: 'env', strings: true, values: fromStrings(env), keyLabel: setting => setting.name };
+  validateLayer(layer, problems);
+  if (problems.length > 0) {
+    throw new Error(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+  }
+
+  const values = {};
+  SETTINGS.forEach(setting => {
+    const value = layer.values[fileKey(setting.name)];
+    values[setting.name] = value === undefined ? setting.default : value;
+  });
+  return values;
+}
+
+// Table rows for `node index.js config`, secrets masked
+function describeConfig(config) {
+  return SETTINGS.map(setting => {
+    const value = config.values[setting.name];
+    let shown;
+    if (value === undefined) {
+      shown = `(${setting.defaultText})`;
+    } else if (setting.secret && value !== '') {
+      shown = '********';
+    } else {
+      shown = value === '' ? '(empty)' : String(value);
+    }
+    return { name: setting.name, value: shown, source: config.sources[setting.name] };
+  });
+}
+
+module.exports = {
+  SETTINGS,
+  fileKey,
+  flagName,
+  parseFlags,
+  loadConfig,
+  applyConfig,
+  checkEnv,
+  describeConfig
+};
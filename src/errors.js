@@ -0,0 +1,122 @@
+// Error responses - negotiates between HTML error pages, RFC 9457 problem+json and plain text
+const { STATUS_CODES } = require('http');
+
+// Runtime placeholders in error pages - left alone by the load-time templating because they are
+// not template variables, and filled in (HTML-escaped) for every error response
+const PAGE_PLACEHOLDERS = /\{\{\s*(ERROR_STATUS|ERROR_TITLE|ERROR_DETAIL|ERROR_STACK|REQUEST_ID)\s*\}\}/g;
+
+// Candidate formats in tie-break order; a bare */* gets plain text like before
+const FORMATS = ['text/html', 'application/problem+json', 'application/json', 'text/plain'];
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Pick the response format from the Accept header: highest q wins, then exact matches over wildcards
+function negotiateFormat(accept) {
+  if (!accept) return 'text/plain';
+
+  const ranges = accept.split(',').map(part => {
+    const [range, ...params] = part.trim().toLowerCase().split(';');
+    const qParam = params.map(param => param.trim()).find(param => param.startsWith('q='));
+    const q = qParam ? parseFloat(qParam.slice(2)) : 1;
+    return { range: range.trim(), q: isNaN(q) ? 0 : q };
+  });
+
+  let best = null;
+  FORMATS.forEach(format => {
+    const [type] = format.split('/');
+    let match = null;
+    ranges.forEach(candidate => {
+      let specificity = -1;
+      if (candidate.range === format) specificity = 2;
+      else if (candidate.range === `${type}/*`) specificity = 1;
+      else if (candidate.range === '*/*') specificity = 0;
+      if (specificity > -1 && (!match || specificity > match.specificity)) {
+        match = { q: candidate.q, specificity };
+      }
+    });
+
+    if (match && match.q > 0 && (!best || match.q > best.q || (match.q === best.q && match.specificity > best.specificity))) {
+      best = { format, ...match };
+    }
+  });
+
+  if (!best || best.specificity === 0) return 'text/plain';
+  return best.format;
+}
+
+// debug: include stack traces, request ids and messages of unexpected errors.
+// findPage(statusCode, request) returns the HTML of a matching error page or null.
+function createErrorResponder(options) {
+  const debug = options.debug === true;
+  const findPage = options.findPage;
+
+  // Explicit HTTP errors (404s, validation, proxy failures...) keep their message;
+  // unexpected exceptions only reveal theirs in debug mode
+  function describe(statusCode, error) {
+    const title = STATUS_CODES[statusCode] || 'Error';
+    let detail;
+    if (error && (error.statusCode || debug)) {
+      detail = error.message;
+    }
+    return { title, detail };
+  }
+
+  function send(request, reply, statusCode, error) {
+    const { title, detail } = describe(statusCode, error);
+    const stack = debug && error ? error.stack : undefined;
+    const format = negotiateFormat(request.headers.accept);
+
+    reply.code(statusCode);
+    reply.header('cache-control', 'no-store');
+    if (debug) reply.header('x-request-id', request.id);
+
+    if (format === 'application/json' || format === 'application/problem+json') {
+      const problem = { type: 'about:blank', title, status: statusCode };
+      if (detail) problem.detail = detail;
+      problem.instance = request.url;
+      if (debug) {
+        problem.requestId = request.id;
+        if (stack) problem.stack = stack.split('\n');
+      }
+
+      reply.header('content-type', 'application/problem+json; charset=utf-8');
+      reply.send(JSON.stringify(problem));
+      return;
+    }
+
+    const page = format === 'text/html' ? findPage(statusCode, request) : null;
+    if (page) {
+      const values = {
+        ERROR_STATUS: statusCode,
+        ERROR_TITLE: title,
+        ERROR_DETAIL: detail || '',
+        ERROR_STACK: stack || '',
+        REQUEST_ID: debug ? request.id : ''
+      };
+      reply.header('content-type', 'text/html; charset=utf-8');
+      reply.send(page.replace(PAGE_PLACEHOLDERS, (match, name) => escapeHtml(values[name])));
+      return;
+    }
+
+    let text = `${statusCode} ${title}`;
+    if (detail) text += ` - ${detail}`;
+    if (debug) text += `\nRequest ID: ${request.id}${stack ? `\n\n${stack}` : ''}`;
+
+    reply.header('content-type', 'text/plain; charset=utf-8');
+    reply.send(text);
+  }
+
+  return { send };
+}
+
+module.exports = {
+  negotiateFormat,
+  createErrorResponder
+};
@@ -0,0 +1,53 @@
+// Event loop delay - one sampling timer per process, read by /metrics and the event-loop-delay health check.
+// Every reader gets the delay since its own previous read, so a scrape doesn't empty the health check's window
+const { createHistogram } = require('perf_hooks');
+
+// Sampling interval - every sample includes it, so it is subtracted from the reported delay
+const RESOLUTION_MS = 20;
+
+const windows = new Set();
+let timer = null;
+
+function sample() {
+  windows.forEach(histogram => histogram.recordDelta());
+}
+
+// Nanoseconds between samples → delay in milliseconds, 0 before anything was sampled
+function delayMs(nanoseconds) {
+  if (!Number.isFinite(nanoseconds)) return 0;
+  return Math.max(0, nanoseconds / 1e6 - RESOLUTION_MS);
+}
+
+// read() returns { mean, p99, max } in milliseconds since the previous read; stop() when the server closes
+function createReader() {
+  const histogram = createHistogram();
+  windows.add(histogram);
+  if (!timer) {
+    timer = setInterval(sample, RESOLUTION_MS);
+    timer.unref();
+  }
+
+  return {
+    read() {
+      const delay = {
+        mean: delayMs(histogram.mean),
+        p99: delayMs(histogram.percentile(99)),
+        max: delayMs(histogram.max)
+      };
+      histogram.reset();
+      return delay;
+    },
+
+    stop() {
+      windows.delete(histogram);
+      if (windows.size === 0 && timer) {
+        clearInterval(timer);
+        timer = null;
+      }
+    }
+  };
+}
+
+module.exports = {
+  createReader
+};
@@ -0,0 +1,246 @@
+// Static export - renders every page route plus assets, static files, a sitemap and a 404 page into a folder
+// that any static host can serve
+const fs = require('fs');
+const path = require('path');
+const pages = require('./pages');
+const caching = require('./caching');
+const staticFiles = require('./static-files');
+const templates = require('./templates');
+const sites = require('./sites');
+
+const FORMATS = ['directory', 'file'];
+
+const DEFAULT_NOT_FOUND_PAGE = `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>404 Not Found</title>
+</head>
+<body>
+    <h1>404 Not Found</h1>
+    <p><a href="/">Back to the home page</a></p>
+</body>
+</html>
+`;
+
+// Written into every export - only folders holding it (or empty ones) are ever replaced
+const EXPORT_MARKER = '.alphablue-export';
+
+// Read the export settings from .env, with the output folder optionally given on the command line
+function readSettings(env = process.env, outDirArg) {
+  const projectDir = path.resolve(__dirname, '..');
+  const port = env.PORT || 3000;
+  const publicDirName = env.PUBLIC_DIR || 'public';
+  const format = env.EXPORT_FORMAT || 'directory';
+
+  if (!FORMATS.includes(format)) {
+    throw new Error(`EXPORT_FORMAT must be one of: ${FORMATS.join(', ')}`);
+  }
+
+  return {
+    projectDir,
+    publicDir: path.resolve(projectDir, publicDirName),
+    outDir: path.resolve(projectDir, outDirArg || env.EXPORT_DIR || 'dist'),
+    format,
+    baseUrl: (env.EXPORT_BASE_URL || `http://localhost:${port}`).replace(/\/+$/, ''),
+    fingerprint: env.ASSET_FINGERPRINT === 'true',
+    staticFiles: env.STATIC_FILES !== 'false',
+    ignorePaths: (env.EXPORT_IGNORE_PATHS === undefined ? '/health' : env.EXPORT_IGNORE_PATHS).split(',').map(prefix => prefix.trim()).filter(Boolean),
+    // The same variables the server renders the main site with
+    variables: sites.siteVariables({ name: 'main', prefix: '' }, templates.globalVariables(env, {
+      SERVER_NAME: env.SERVER_NAME || `Simple-API-${port}`,
+      PORT: String(port)
+    }))
+  };
+}
+
+// Output file for a route: about → about/index.html or about.html, the index page → index.html
+function outputFile(route, format) {
+  if (route === 'index') return 'index.html';
+  return format === 'directory' ? `${route}/index.html` : `${route}.html`;
+}
+
+// Public URL of an exported route, as listed in the sitemap
+function routeUrl(route, format) {
+  if (route === 'index') return '/';
+  return format === 'directory' ? `/${route}/` : `/${route}.html`;
+}
+
+// href/src references in a page, skipping external URLs, anchors and schemes like mailto:
+function internalReferences(html) {
+  const references = [];
+  const pattern = /\s(?:href|src)\s*=\s*["']([^"']*)["']/gi;
+  let match;
+  while ((match = pattern.exec(html)) !== null) {
+    const reference = match[1].trim();
+    if (!reference || reference.startsWith('#') || reference.startsWith('//') || /^[a-z][a-z\d+.\-]*:/i.test(reference)) {
+      continue;
+    }
+    references.push(reference);
+  }
+  return references;
+}
+
+// Check every internal link and asset reference against what the export will contain.
+// Links resolve the way the dev server serves them: /about, case-insensitive, no .html suffix.
+function findBrokenReferences(loaded, assetFiles, otherFiles, ignorePaths) {
+  const routes = new Set(Object.keys(loaded).map(route => route.toLowerCase()));
+  const generated = ['/sitemap.xml', '/404.html'];
+  const problems = [];
+
+  Object.keys(loaded).forEach(route => {
+    const pageUrl = new URL(route === 'index' ? '/' : `/${route}`, 'http://export.local');
+
+    internalReferences(loaded[route].content).forEach(reference => {
+      let pathname;
+      try {
+        pathname = decodeURIComponent(new URL(reference, pageUrl).pathname);
+      } catch (err) {
+        problems.push(`${loaded[route].file}: invalid URL "${reference}"`);
+        return;
+      }
+
+      if (ignorePaths.some(prefix => pathname === prefix || pathname.startsWith(prefix.endsWith('/') ? prefix : `${prefix}/`))) {
+        return;
+      }
+      if (generated.includes(pathname) || otherFiles.has(pathname.slice(1))) return;
+
+      if (pathname.startsWith('/assets/')) {
+        if (!assetFiles.has(pathname.slice('/assets/'.length))) {
+          problems.push(`${loaded[route].file}: missing asset "${reference}"`);
+        }
+        return;
+      }
+
+      const target = pathname.replace(/^\/+|\/+$/g, '').toLowerCase() || 'index';
+      if (!routes.has(target)) {
+        problems.push(`${loaded[route].file}: broken link "${reference}"`);
+      }
+    });
+  });
+
+  return problems;
+}
+
+function sitemap(loaded, settings) {
+  const urls = Object.keys(loaded)
+    .filter(route => !pages.isErrorPage(route))
+    .sort()
+    .map(route => [
+      '  <url>',
+      `    <loc>${settings.baseUrl}${routeUrl(route, settings.format)}</loc>`,
+      `    <lastmod>${loaded[route].modified.toISOString().slice(0, 10)}</lastmod>`,
+      '  </url>'
+    ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls,
+    '</urlset>',
+    ''
+  ].join('\n');
+}
+
+function writeFile(outDir, file, content) {
+  const target = path.join(outDir, file);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.writeFileSync(target, content);
+}
+
+// Is child the same folder as parent or somewhere below it?
+function isInside(parent, child) {
+  const relative = path.relative(parent, child);
+  return relative === '' || (relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative));
+}
+
+// The output folder is deleted before writing, so it must be a folder a previous export created (or an
+// empty or missing one) - never a filesystem root, the project, the sources or anything holding them
+function checkOutDir(settings) {
+  const { projectDir, publicDir, outDir } = settings;
+  const refuse = (reason) => new Error(`Refusing to export into ${outDir} - ${reason}`);
+
+  if (path.parse(outDir).root === outDir) {
+    throw refuse('it is a filesystem root');
+  }
+  if (isInside(outDir, projectDir) || isInside(outDir, publicDir) || isInside(publicDir, outDir)) {
+    throw refuse('choose a folder outside the project sources');
+  }
+  if (!fs.existsSync(outDir)) return;
+
+  if (!fs.statSync(outDir).isDirectory()) {
+    throw refuse('it is not a folder');
+  }
+  if (fs.readdirSync(outDir).length > 0 && !fs.existsSync(path.join(outDir, EXPORT_MARKER))) {
+    throw refuse(`it is not empty and was not created by an export (no ${EXPORT_MARKER} file)`);
+  }
+}
+
+// Render the site into settings.outDir - throws (before writing anything) on broken references
+function exportSite(settings) {
+  const { publicDir, outDir, format } = settings;
+  const assetsDir = path.join(publicDir, 'assets');
+
+  checkOutDir(settings);
+
+  // original → fingerprinted names; every asset is exported under both when fingerprinting
+  const manifest = caching.buildAssetManifest(assetsDir);
+  const assetFiles = new Set(Object.keys(manifest));
+  if (settings.fingerprint) {
+    Object.values(manifest).forEach(file => assetFiles.add(file));
+  }
+
+  const loaded = pages.loadPages(publicDir, settings.variables);
+  if (Object.keys(loaded).length === 0) {
+    throw new Error('No valid HTML files found in public folder');
+  }
+  if (settings.fingerprint) {
+    Object.keys(loaded).forEach(route => {
+      loaded[route].content = caching.rewriteAssetUrls(loaded[route].content, manifest);
+    });
+  }
+
+  // favicon.ico, robots.txt, fonts... - the non-page files the server serves from the public folder
+  const otherFiles = new Set(settings.staticFiles ? staticFiles.collectStaticFiles(publicDir) : []);
+
+  const problems = findBrokenReferences(loaded, assetFiles, otherFiles, settings.ignorePaths);
+  if (problems.length > 0) {
+    throw new Error(`${problems.length} broken reference(s):\n   ${problems.join('\n   ')}`);
+  }
+
+  fs.rmSync(outDir, { recursive: true, force: true });
+  fs.mkdirSync(outDir, { recursive: true });
+  writeFile(outDir, EXPORT_MARKER, 'Created by the static export - this folder is deleted and rebuilt on every export\n');
+
+  Object.keys(loaded).forEach(route => {
+    if (route === '404') return;
+    writeFile(outDir, outputFile(route, format), loaded[route].content);
+  });
+
+  // Static hosts (GitHub Pages, Netlify, ...) serve /404.html for unknown paths
+  writeFile(outDir, '404.html', loaded['404'] ? loaded['404'].content : DEFAULT_NOT_FOUND_PAGE);
+
+  Object.keys(manifest).forEach(file => {
+    writeFile(outDir, `assets/${file}`, fs.readFileSync(path.join(assetsDir, file)));
+    if (settings.fingerprint) {
+      fs.copyFileSync(path.join(outDir, 'assets', file), path.join(outDir, 'assets', manifest[file]));
+    }
+  });
+
+  otherFiles.forEach(file => {
+    writeFile(outDir, file, fs.readFileSync(path.join(publicDir, file)));
+  });
+
+  writeFile(outDir, 'sitemap.xml', sitemap(loaded, settings));
+
+  return {
+    pages: Object.keys(loaded).filter(route => route !== '404').length,
+    assets: Object.keys(manifest).length,
+    files: otherFiles.size
+  };
+}
+
+module.exports = {
+  readSettings,
+  exportSite
+};
@@ -0,0 +1,142 @@
+// Health checks - a registry of named checks behind the /health/live and /health/ready probes
+const fs = require('fs');
+const path = require('path');
+const eventLoop = require('./event-loop');
+
+const STATUSES = ['pass', 'warn', 'fail'];
+const DEFAULT_TIMEOUT = 1000;
+
+// Turn whatever a check returned into { status, ...details }
+function normalizeResult(result) {
+  if (result === undefined || result === true) return { status: 'pass' };
+  if (result === false) return { status: 'fail' };
+  if (typeof result === 'string') result = { status: result };
+
+  if (!result || typeof result !== 'object' || !STATUSES.includes(result.status)) {
+    return { status: 'fail', output: 'Check returned an invalid result' };
+  }
+  return result;
+}
+
+// Run one check, treating errors and timeouts as failures
+function runCheck(check) {
+  return new Promise(resolve => {
+    const timer = setTimeout(() => {
+      resolve({ status: 'fail', output: `Timed out after ${check.timeout}ms` });
+    }, check.timeout);
+
+    Promise.resolve()
+      .then(() => check.check())
+      .then(
+        result => resolve(normalizeResult(result)),
+        err => resolve({ status: 'fail', output: err.message })
+      )
+      .finally(() => clearTimeout(timer));
+  });
+}
+
+function createHealthChecks() {
+  const checks = new Map();
+
+  return {
+    // Register a named check - fn may be async and returns true/false, a status string or { status, ... }
+    register(name, fn, options = {}) {
+      if (typeof name !== 'string' || !name) {
+        throw new Error('Health check name must be a non-empty string');
+      }
+      if (typeof fn !== 'function') {
+        throw new Error(`Health check "${name}" must be a function`);
+      }
+      if (checks.has(name)) {
+        throw new Error(`Health check "${name}" is already registered`);
+      }
+      checks.set(name, { name, check: fn, timeout: options.timeout || DEFAULT_TIMEOUT });
+    },
+
+    names() {
+      return [...checks.keys()];
+    },
+
+    // Run every check in parallel; the worst individual status becomes the aggregate status
+    async run() {
+      const entries = [...checks.values()];
+      const results = await Promise.all(entries.map(runCheck));
+
+      const report = {};
+      let status = 'pass';
+      entries.forEach((entry, index) => {
+        report[entry.name] = results[index];
+        if (STATUSES.indexOf(results[index].status) > STATUSES.indexOf(status)) {
+          status = results[index].status;
+        }
+      });
+
+      return { status, checks: report };
+    }
+  };
+}
+
+// Built-in check: the public folder must still be readable (pages are served from memory,
+// but live reload and the loaders need it)
+function publicDirCheck(publicDir) {
+  return () => {
+    try {
+      fs.accessSync(publicDir, fs.constants.R_OK);
+      return { status: 'pass' };
+    } catch (err) {
+      return { status: 'fail', output: err.code || err.message };
+    }
+  };
+}
+
+// Built-in check: p99 event loop delay since the previous run, in milliseconds
+function eventLoopDelayCheck(warnMs, failMs) {
+  const delay = eventLoop.createReader();
+
+  const check = () => {
+    const delayMs = Math.round(delay.read().p99 * 100) / 100;
+
+    let status = 'pass';
+    if (delayMs >= failMs) status = 'fail';
+    else if (delayMs >= warnMs) status = 'warn';
+
+    return { status, observedValue: delayMs, observedUnit: 'ms' };
+  };
+  check.stop = delay.stop;
+
+  return check;
+}
+
+// Load user-defined checks from checksDir - each module exports { name, check, timeout? } or an array
+function loadHealthChecks(checksDir) {
+  if (!fs.existsSync(checksDir)) {
+    return [];
+  }
+
+  const definitions = [];
+  fs.readdirSync(checksDir)
+    .filter(file => /^[\w\-]+\.js$/.test(file))
+    .sort()
+    .forEach(file => {
+      const exported = require(path.join(checksDir, file));
+      [].concat(exported).forEach(definition => {
+        if (!definition || typeof definition.check !== 'function') {
+          throw new Error(`${file}: must export { name, check } or an array of them`);
+        }
+        definitions.push({
+          name: definition.name || path.basename(file, '.js'),
+          check: definition.check,
+          timeout: definition.timeout
+        });
+      });
+    });
+
+  return definitions;
+}
+
+module.exports = {
+  createHealthChecks,
+  publicDirCheck,
+  eventLoopDelayCheck,
+  loadHealthChecks
+};
@@ -0,0 +1,106 @@
+// Live reload - watches the public folder and tells open browser tabs to refresh
+const fs = require('fs');
+
+const LIVE_RELOAD_PATH = '/__livereload';
+
+// Browser client - served as an external script so a strict Content-Security-Policy still allows it
+const clientScript = `(function () {
+  var source = new EventSource('${LIVE_RELOAD_PATH}');
+  source.onmessage = function (event) {
+    if (event.data === 'reload') location.reload();
+  };
+})();
+`;
+
+// Snippet injected into every cached HTML page when live reload is on
+const clientSnippet = `<script src="${LIVE_RELOAD_PATH}.js"></script>`;
+
+// Insert the client snippet before </body>, or append it if the page has no body tag
+function injectClient(html) {
+  const index = html.toLowerCase().lastIndexOf('</body>');
+  if (index === -1) return html + clientSnippet;
+  return html.slice(0, index) + clientSnippet + html.slice(index);
+}
+
+// Watch a directory tree and call onChange once per burst of file events
+function watchDirectory(dir, onChange, delay = 100) {
+  let timer = null;
+  const listener = (eventType, filename) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => onChange(filename), delay);
+  };
+
+  let watcher;
+  try {
+    watcher = fs.watch(dir, { recursive: true }, listener);
+  } catch (err) {
+    // Recursive watching is not available on every platform/Node version
+    watcher = fs.watch(dir, listener);
+  }
+
+  watcher.on('error', (err) => {
+    console.error('⚠️  File watcher error:', err.message);
+  });
+
+  return {
+    close: () => {
+      clearTimeout(timer);
+      watcher.close();
+    }
+  };
+}
+
+// Register the Server-Sent Events channel used by the client snippet
+function registerLiveReload(fastify) {
+  const clients = new Set();
+
+  fastify.get(`${LIVE_RELOAD_PATH}.js`, (request, reply) => {
+    reply.header('content-type', 'application/javascript; charset=utf-8');
+    reply.header('cache-control', 'no-cache');
+    reply.send(clientScript);
+  });
+
+  fastify.get(LIVE_RELOAD_PATH, (request, reply) => {
+    reply.hijack();
+    // Event streams stay open indefinitely - opt out of the idle connection timeout
+    request.raw.setTimeout(0);
+    const headers = {
+      'content-type': 'text/event-stream; charset=utf-8',
+      'cache-control': 'no-cache'
+    };
+    // Connection-specific headers are forbidden in HTTP/2
+    if (request.raw.httpVersionMajor < 2) headers.connection = 'keep-alive';
+    reply.raw.writeHead(200, headers);
+    reply.raw.write('retry: 1000\n\n');
+
+    clients.add(reply.raw);
+    request.raw.on('close', () => clients.delete(reply.raw));
+  });
+
+  // Keep idle connections open through proxies and timeouts
+  const heartbeat = setInterval(() => {
+    clients.forEach(client => client.write(': ping\n\n'));
+  }, 15000);
+  heartbeat.unref();
+
+  fastify.addHook('onClose', (instance, done) => {
+    clearInterval(heartbeat);
+    clients.forEach(client => client.end());
+    clients.clear();
+    done();
+  });
+
+  return {
+    reload: () => {
+      clients.forEach(client => client.write('data: reload\n\n'));
+    },
+    clientCount: () => clients.size
+  };
+}
+
+module.exports = {
+  LIVE_RELOAD_PATH,
+  injectClient,
+  watchDirectory,
+  registerLiveReload
+};
@@ -0,0 +1,264 @@
+// Logging - application logger, one access-log line per request (pretty, JSON or Apache combined),
+// request ids, size-based file rotation, redaction of credentials and sampling for load tests
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const pino = require('pino');
+
+const FORMATS = ['pretty', 'json', 'combined'];
+const REDACTED = '[REDACTED]';
+
+// Always redacted: credential headers and the ?key= API key parameter (AUTH_QUERY_KEYS)
+const DEFAULT_REDACT_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-api-key'];
+const DEFAULT_REDACT_QUERY = ['key', 'api_key', 'apikey', 'token', 'access_token'];
+
+// Incoming request ids are reused only when they look like ids - no log injection via the header
+const REQUEST_ID_PATTERN = /^[\w.:\-]{1,128}$/;
+
+// Structured access-log fields (JSON); pretty output folds them into the message line
+const ACCESS_FIELDS = ['method', 'url', 'statusCode', 'responseTimeMs', 'contentLength', 'remoteAddress', 'userAgent', 'referer', 'user'];
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// "10m", "512k", "1g" or plain bytes
+function parseSize(value, name) {
+  const match = /^(\d+)\s*([kmg]?)b?$/i.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`${name} must be a size like 10m, 512k or a number of bytes`);
+  }
+  const units = { '': 1, k: 1024, m: 1024 * 1024, g: 1024 * 1024 * 1024 };
+  return parseInt(match[1]) * units[match[2].toLowerCase()];
+}
+
+function readSettings(env = process.env) {
+  const format = env.LOG_FORMAT || 'json';
+  if (!FORMATS.includes(format)) {
+    throw new Error(`LOG_FORMAT must be one of: ${FORMATS.join(', ')}`);
+  }
+
+  const sampleRate = env.LOG_SAMPLE_RATE === undefined || env.LOG_SAMPLE_RATE === '' ? 1 : Number(env.LOG_SAMPLE_RATE);
+  if (isNaN(sampleRate) || sampleRate < 0 || sampleRate > 1) {
+    throw new Error('LOG_SAMPLE_RATE must be a number between 0 and 1');
+  }
+
+  const maxFiles = env.LOG_MAX_FILES === undefined || env.LOG_MAX_FILES === '' ? 5 : Number(env.LOG_MAX_FILES);
+  if (!Number.isInteger(maxFiles) || maxFiles < 1) {
+    throw new Error('LOG_MAX_FILES must be a whole number of at least 1');
+  }
+
+  const extraRedact = (env.LOG_REDACT || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+  const requestIdHeader = env.REQUEST_ID_HEADER === undefined ? 'x-request-id' : env.REQUEST_ID_HEADER.trim().toLowerCase();
+
+  return {
+    enabled: env.ENABLE_LOGGING === 'true',
+    format,
+    level: env.LOG_LEVEL || 'info',
+    file: env.LOG_FILE ? path.resolve(__dirname, '..', env.LOG_FILE) : null,
+    maxSize: parseSize(env.LOG_MAX_SIZE || '10m', 'LOG_MAX_SIZE'),
+    maxFiles,
+    sampleRate,
+    includeHeaders: env.LOG_HEADERS === 'true',
+    redactHeaders: new Set([...DEFAULT_REDACT_HEADERS, ...extraRedact]),
+    redactQuery: new Set([...DEFAULT_REDACT_QUERY, ...extraRedact]),
+    requestIdHeader: requestIdHeader === 'false' ? '' : requestIdHeader
+  };
+}
+
+// Append-only log file that moves itself to file.1 (file.1 → file.2, ...) once it reaches maxSize
+function rotatingFile(file, maxSize, maxFiles) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const stream = pino.destination({ dest: file, sync: false, mkdir: true });
+  let size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+
+  function rotate() {
+    fs.rmSync(`${file}.${maxFiles}`, { force: true });
+    for (let index = maxFiles - 1; index >= 1; index--) {
+      if (fs.existsSync(`${file}.${index}`)) fs.renameSync(`${file}.${index}`, `${file}.${index + 1}`);
+    }
+    fs.renameSync(file, `${file}.1`);
+    stream.reopen();
+    size = 0;
+  }
+
+  return {
+    write(data) {
+      const result = stream.write(data);
+      size += Buffer.byteLength(data);
+      if (maxSize > 0 && size >= maxSize) {
+        try {
+          rotate();
+        } catch (err) {
+          console.error('⚠️  Log rotation failed:', err.message);
+        }
+      }
+      return result;
+    },
+    close(done) {
+      stream.once('close', () => done());
+      stream.end();
+    }
+  };
+}
+
+function standardOutput() {
+  const stream = pino.destination({ dest: 1, sync: false });
+  return {
+    write: data => stream.write(data),
+    close(done) {
+      stream.flushSync();
+      done();
+    }
+  };
+}
+
+// Replace the values of credential query parameters, keeping the rest of the URL readable
+function redactUrl(url, names) {
+  const queryStart = url.indexOf('?');
+  if (queryStart === -1) return url;
+
+  const query = url.slice(queryStart + 1).split('&').map(pair => {
+    const separator = pair.indexOf('=');
+    const name = separator === -1 ? pair : pair.slice(0, separator);
+    let decoded = name;
+    try {
+      decoded = decodeURIComponent(name);
+    } catch (err) {
+      // Keep the raw name
+    }
+    return names.has(decoded.toLowerCase()) && separator !== -1 ? `${name}=${REDACTED}` : pair;
+  });
+  return `${url.slice(0, queryStart)}?${query.join('&')}`;
+}
+
+function redactHeaders(headers, names) {
+  const result = {};
+  Object.keys(headers).forEach(name => {
+    result[name] = names.has(name.toLowerCase()) ? REDACTED : headers[name];
+  });
+  return result;
+}
+
+// 10/Oct/2000:13:55:36 +0200
+function clfDate(date) {
+  const pad = value => String(value).padStart(2, '0');
+  const offset = -date.getTimezoneOffset();
+  const sign = offset >= 0 ? '+' : '-';
+  const zone = `${sign}${pad(Math.floor(Math.abs(offset) / 60))}${pad(Math.abs(offset) % 60)}`;
+  return `${pad(date.getDate())}/${MONTHS[date.getMonth()]}/${date.getFullYear()}:` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())} ${zone}`;
+}
+
+function quoted(value) {
+  if (value === undefined || value === null || value === '') return '"-"';
+  return `"${String(value).replace(/[\\"]/g, '\\$&').replace(/[\x00-\x1f\x7f]/g, '')}"`;
+}
+
+// Build the logger, request id generator and access-log hooks for one server
+function createLogging(settings) {
+  let destination = null;
+  let logger = false;
+
+  if (settings.enabled) {
+    destination = settings.file ? rotatingFile(settings.file, settings.maxSize, settings.maxFiles) : standardOutput();
+    const options = { level: settings.level };
+
+    if (settings.format === 'pretty') {
+      // Formatted in-process so pretty output shares the destination (and rotation) with JSON
+      const prettify = require('pino-pretty').prettyFactory({
+        colorize: !settings.file && process.stdout.isTTY === true,
+        translateTime: 'HH:MM:ss.l',
+        // One line per request - the access fields are already in the message
+        ignore: 'pid,hostname,reqId,' + ACCESS_FIELDS.join(','),
+        messageFormat: '{msg}{if reqId} [{reqId}]{end}'
+      });
+      logger = pino(options, { write: line => destination.write(prettify(line)) });
+    } else if (settings.format === 'json') {
+      logger = pino(options, destination);
+    } else {
+      // Combined lines go to the access log; application messages stay JSON on stderr
+      logger = pino(options, pino.destination({ dest: 2, sync: false }));
+    }
+  }
+
+  const idPrefix = crypto.randomBytes(3).toString('hex');
+  let idCounter = 0;
+
+  // Reuse a well-formed incoming request id (from a proxy or the browser), otherwise make one
+  function genReqId(req) {
+    const incoming = settings.requestIdHeader && req.headers[settings.requestIdHeader];
+    if (typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming)) return incoming;
+    idCounter = (idCounter + 1) % Number.MAX_SAFE_INTEGER;
+    return `${idPrefix}-${idCounter.toString(36)}`;
+  }
+
+  function accessEntry(request, reply) {
+    const entry = {
+      method: request.method,
+      url: redactUrl(request.url, settings.redactQuery),
+      statusCode: reply.statusCode,
+      responseTimeMs: Math.round(reply.elapsedTime * 100) / 100,
+      contentLength: reply.getHeader('content-length'),
+      remoteAddress: request.ip,
+      userAgent: request.headers['user-agent'],
+      referer: request.headers.referer
+    };
+    if (request.auth) entry.user = request.auth.name;
+    if (settings.includeHeaders) entry.headers = redactHeaders(request.headers, settings.redactHeaders);
+    return entry;
+  }
+
+  function combinedLine(request, reply) {
+    const bytes = reply.getHeader('content-length');
+    const user = request.auth ? request.auth.name.replace(/\s/g, '_') : '-';
+    const requestLine = `${request.method} ${redactUrl(request.url, settings.redactQuery)} HTTP/${request.raw.httpVersion}`;
+    return `${request.ip} - ${user} [${clfDate(new Date())}] ${quoted(requestLine)} ${reply.statusCode} ` +
+      `${bytes || '-'} ${quoted(request.headers.referer)} ${quoted(request.headers['user-agent'])}\n`;
+  }
+
+  // Request id header on every response, one access-log entry per finished request
+  function register(fastify) {
+    // Echoed even with logging off, so callers can still correlate with proxy or upstream logs
+    if (settings.requestIdHeader) {
+      fastify.addHook('onRequest', (request, reply, done) => {
+        reply.header(settings.requestIdHeader, request.id);
+        done();
+      });
+    }
+
+    if (!settings.enabled) return;
+
+    fastify.addHook('onResponse', (request, reply, done) => {
+      // Sampling keeps every error but only a share of successful requests
+      if (reply.statusCode < 400 && settings.sampleRate < 1 && Math.random() >= settings.sampleRate) {
+        done();
+        return;
+      }
+
+      if (settings.format === 'combined') {
+        destination.write(combinedLine(request, reply));
+      } else {
+        const entry = accessEntry(request, reply);
+        const level = reply.statusCode >= 500 ? 'error' : reply.statusCode >= 400 ? 'warn' : 'info';
+        request.log[level](entry, `${entry.method} ${entry.url} ${entry.statusCode} ${entry.responseTimeMs}ms`);
+      }
+      done();
+    });
+
+    fastify.addHook('onClose', (instance, done) => {
+      destination.close(done);
+    });
+  }
+
+  return {
+    logger,
+    genReqId,
+    register
+  };
+}
+
+module.exports = {
+  readSettings,
+  createLogging,
+  parseSize,
+  redactUrl
+};
@@ -0,0 +1,140 @@
+// Prometheus metrics - request counters, latency histograms and runtime gauges in text exposition format
+const { PerformanceObserver, constants } = require('perf_hooks');
+const eventLoop = require('./event-loop');
+
+// Latency buckets in seconds - tuned for an in-memory server where most requests take well under 10ms
+const LATENCY_BUCKETS = [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5];
+
+const GC_KINDS = {
+  [constants.NODE_PERFORMANCE_GC_MINOR]: 'minor',
+  [constants.NODE_PERFORMANCE_GC_MAJOR]: 'major',
+  [constants.NODE_PERFORMANCE_GC_INCREMENTAL]: 'incremental',
+  [constants.NODE_PERFORMANCE_GC_WEAKCB]: 'weakcb'
+};
+
+// Escape a label value per the exposition format
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const keys = Object.keys(labels);
+  if (keys.length === 0) return '';
+  return `{${keys.map(key => `${key}="${escapeLabel(labels[key])}"`).join(',')}}`;
+}
+
+// Render one metric family: HELP, TYPE and its samples
+function family(name, type, help, samples) {
+  const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+  samples.forEach(({ suffix = '', labels = {}, value }) => {
+    lines.push(`${name}${suffix}${formatLabels(labels)} ${value}`);
+  });
+  return lines.join('\n');
+}
+
+// Collect request metrics through Fastify hooks and runtime metrics through perf_hooks.
+// getPageStats() returns { count, bytes } for the in-memory page cache.
+function registerMetrics(fastify, getPageStats) {
+  const requests = new Map();
+  const durations = new Map();
+
+  fastify.addHook('onResponse', (request, reply, done) => {
+    const method = request.method;
+    // Pages are labelled by their own route instead of the shared /* wildcard
+    const route = request.page || request.routeOptions.url || 'unmatched';
+    const status = reply.statusCode;
+    const seconds = reply.elapsedTime / 1000;
+
+    const requestKey = `${method} ${route} ${status}`;
+    const counter = requests.get(requestKey);
+    if (counter) {
+      counter.value++;
+    } else {
+      requests.set(requestKey, { labels: { method, route, status_code: status }, value: 1 });
+    }
+
+    const durationKey = `${method} ${route}`;
+    let histogram = durations.get(durationKey);
+    if (!histogram) {
+      histogram = { labels: { method, route }, buckets: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 };
+      durations.set(durationKey, histogram);
+    }
+    LATENCY_BUCKETS.forEach((bound, index) => {
+      if (seconds <= bound) histogram.buckets[index]++;
+    });
+    histogram.sum += seconds;
+    histogram.count++;
+
+    done();
+  });
+
+  const eventLoopDelay = eventLoop.createReader();
+
+  const gcRuns = {};
+  const gcObserver = new PerformanceObserver(list => {
+    list.getEntries().forEach(entry => {
+      const kind = GC_KINDS[entry.detail ? entry.detail.kind : entry.kind] || 'unknown';
+      const stats = gcRuns[kind] || (gcRuns[kind] = { count: 0, seconds: 0 });
+      stats.count++;
+      stats.seconds += entry.duration / 1000;
+    });
+  });
+  gcObserver.observe({ entryTypes: ['gc'] });
+
+  fastify.addHook('onClose', (instance, done) => {
+    eventLoopDelay.stop();
+    gcObserver.disconnect();
+    done();
+  });
+
+  // Render every metric; event-loop lag covers the time since the previous scrape
+  const render = () => {
+    const memory = process.memoryUsage();
+    const pages = getPageStats();
+    const lag = eventLoopDelay.read();
+
+    const histogramSamples = [];
+    durations.forEach(histogram => {
+      LATENCY_BUCKETS.forEach((bound, index) => {
+        histogramSamples.push({ suffix: '_bucket', labels: { ...histogram.labels, le: bound }, value: histogram.buckets[index] });
+      });
+      histogramSamples.push({ suffix: '_bucket', labels: { ...histogram.labels, le: '+Inf' }, value: histogram.count });
+      histogramSamples.push({ suffix: '_sum', labels: histogram.labels, value: histogram.sum });
+      histogramSamples.push({ suffix: '_count', labels: histogram.labels, value: histogram.count });
+    });
+
+    const gcKinds = Object.keys(gcRuns);
+
+    const output = [
+      family('http_requests_total', 'counter', 'Total HTTP requests by method, route and status code',
+        [...requests.values()]),
+      family('http_request_duration_seconds', 'histogram', 'HTTP request latency in seconds',
+        histogramSamples),
+      family('nodejs_eventloop_lag_seconds', 'gauge', 'Mean event loop delay since the last scrape',
+        [{ value: lag.mean / 1000 }]),
+      family('nodejs_eventloop_lag_p99_seconds', 'gauge', '99th percentile event loop delay since the last scrape',
+        [{ value: lag.p99 / 1000 }]),
+      family('nodejs_eventloop_lag_max_seconds', 'gauge', 'Maximum event loop delay since the last scrape',
+        [{ value: lag.max / 1000 }]),
+      family('nodejs_gc_runs_total', 'counter', 'Garbage collection runs by kind',
+        gcKinds.map(kind => ({ labels: { kind }, value: gcRuns[kind].count }))),
+      family('nodejs_gc_duration_seconds_total', 'counter', 'Time spent in garbage collection by kind',
+        gcKinds.map(kind => ({ labels: { kind }, value: gcRuns[kind].seconds }))),
+      family('nodejs_heap_used_bytes', 'gauge', 'V8 heap used', [{ value: memory.heapUsed }]),
+      family('nodejs_heap_total_bytes', 'gauge', 'V8 heap total', [{ value: memory.heapTotal }]),
+      family('nodejs_external_memory_bytes', 'gauge', 'Memory used by C++ objects bound to JavaScript', [{ value: memory.external }]),
+      family('process_resident_memory_bytes', 'gauge', 'Resident set size', [{ value: memory.rss }]),
+      family('process_uptime_seconds', 'gauge', 'Process uptime', [{ value: process.uptime() }]),
+      family('alphablue_cached_pages', 'gauge', 'HTML pages held in memory', [{ value: pages.count }]),
+      family('alphablue_cached_pages_bytes', 'gauge', 'Total size of HTML pages held in memory', [{ value: pages.bytes }])
+    ];
+
+    return output.join('\n') + '\n';
+  };
+
+  return { render };
+}
+
+module.exports = {
+  registerMetrics
+};
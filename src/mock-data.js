@@ -0,0 +1,213 @@
+// Mock REST resources - every data/<name>.json array becomes a CRUD endpoint backed by memory
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+const RESERVED_QUERY_KEYS = ['page', 'limit', 'sort'];
+
+// Load every <name>.json fixture in dataDir - a missing folder simply means no mock resources
+function loadMockResources(dataDir) {
+  if (!fs.existsSync(dataDir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dataDir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => {
+      const name = path.basename(file, '.json');
+
+      // Security: Resource names become route segments
+      if (!/^[\w\-]+$/.test(name)) {
+        throw new Error(`Invalid resource name: ${name}`);
+      }
+
+      let items;
+      try {
+        items = JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf8'));
+      } catch (err) {
+        throw new Error(`${file}: ${err.message}`);
+      }
+
+      if (!Array.isArray(items) || items.some(item => !item || typeof item !== 'object' || Array.isArray(item))) {
+        throw new Error(`${file}: must contain a JSON array of objects`);
+      }
+
+      return { name, file: path.join(dataDir, file), items };
+    });
+}
+
+// Compare two field values - numbers numerically, everything else as text
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return 1;
+  if (b === undefined || b === null) return -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b));
+}
+
+// Filter by exact field matches (?role=admin), sort (?sort=name,-age) and paginate (?page=2&limit=10).
+// Parameters that aren't a field of any record (cache busters like ?_=1, ?callback=x) are ignored
+function queryItems(items, query) {
+  const fields = new Set(items.flatMap(item => Object.keys(item)));
+  const filters = Object.keys(query).filter(key => !RESERVED_QUERY_KEYS.includes(key) && fields.has(key));
+  let result = items.filter(item => {
+    return filters.every(key => {
+      const expected = [].concat(query[key]).map(String);
+      return expected.includes(String(item[key]));
+    });
+  });
+
+  if (query.sort) {
+    const fields = query.sort.split(',').filter(Boolean).map(field => {
+      return field.startsWith('-')
+        ? { key: field.slice(1), direction: -1 }
+        : { key: field, direction: 1 };
+    });
+    result = result.slice().sort((a, b) => {
+      for (const { key, direction } of fields) {
+        const order = compareValues(a[key], b[key]);
+        if (order !== 0) return order * direction;
+      }
+      return 0;
+    });
+  }
+
+  const page = query.page || 1;
+  const limit = query.limit || DEFAULT_LIMIT;
+  const start = (page - 1) * limit;
+
+  return {
+    data: result.slice(start, start + limit),
+    meta: {
+      page,
+      limit,
+      total: result.length,
+      pages: Math.ceil(result.length / limit)
+    }
+  };
+}
+
+// Numeric ids continue the sequence; anything else gets a UUID
+function nextId(items) {
+  if (items.length > 0 && items.every(item => Number.isInteger(item.id))) {
+    return Math.max(...items.map(item => item.id)) + 1;
+  }
+  return items.length === 0 ? 1 : crypto.randomUUID();
+}
+
+// Create an error that the error handler turns into a status response
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+const listSchema = {
+  querystring: {
+    type: 'object',
+    properties: {
+      page: { type: 'integer', minimum: 1 },
+      limit: { type: 'integer', minimum: 1, maximum: MAX_LIMIT },
+      sort: { type: 'string' }
+    }
+  }
+};
+
+const bodySchema = {
+  body: { type: 'object' }
+};
+
+// Register CRUD routes for each resource; persist writes the store back to its JSON file
+function registerMockResources(fastify, resources, options = {}) {
+  resources.forEach(resource => {
+    const route = `/${resource.name}`;
+    let pendingWrite = Promise.resolve();
+
+    // Writes are queued so the file always ends up with the latest state
+    const save = () => {
+      if (!options.persist) return;
+      const snapshot = JSON.stringify(resource.items, null, 2) + '\n';
+      pendingWrite = pendingWrite
+        .then(() => fs.promises.writeFile(resource.file, snapshot))
+        .catch(err => console.error(`⚠️  Could not save ${resource.name}:`, err.message));
+    };
+
+    const findIndex = (id) => resource.items.findIndex(item => String(item.id) === id);
+
+    fastify.get(route, { schema: listSchema }, (request, reply) => {
+      reply.send(queryItems(resource.items, request.query));
+    });
+
+    fastify.get(`${route}/:id`, (request, reply) => {
+      const index = findIndex(request.params.id);
+      if (index === -1) {
+        reply.callNotFound();
+        return;
+      }
+      reply.send(resource.items[index]);
+    });
+
+    fastify.post(route, { schema: bodySchema }, (request, reply) => {
+      const item = { ...request.body };
+      if (item.id === undefined) {
+        item.id = nextId(resource.items);
+      } else if (findIndex(String(item.id)) !== -1) {
+        throw httpError(409, `${resource.name} ${item.id} already exists`);
+      }
+
+      resource.items.push(item);
+      save();
+      reply.code(201).send(item);
+    });
+
+    fastify.put(`${route}/:id`, { schema: bodySchema }, (request, reply) => {
+      const index = findIndex(request.params.id);
+      if (index === -1) {
+        reply.callNotFound();
+        return;
+      }
+
+      // Replace the whole record but keep its identity
+      resource.items[index] = { ...request.body, id: resource.items[index].id };
+      save();
+      reply.send(resource.items[index]);
+    });
+
+    fastify.patch(`${route}/:id`, { schema: bodySchema }, (request, reply) => {
+      const index = findIndex(request.params.id);
+      if (index === -1) {
+        reply.callNotFound();
+        return;
+      }
+
+      resource.items[index] = { ...resource.items[index], ...request.body, id: resource.items[index].id };
+      save();
+      reply.send(resource.items[index]);
+    });
+
+    fastify.delete(`${route}/:id`, (request, reply) => {
+      const index = findIndex(request.params.id);
+      if (index === -1) {
+        reply.callNotFound();
+        return;
+      }
+
+      resource.items.splice(index, 1);
+      save();
+      reply.code(204).send();
+    });
+
+    // Let pending writes finish before the process exits
+    fastify.addHook('onClose', (instance, done) => {
+      pendingWrite.then(() => done());
+    });
+  });
+}
+
+module.exports = {
+  loadMockResources,
+  registerMockResources
+};
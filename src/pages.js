@@ -0,0 +1,99 @@
+// Page loading - finds the HTML files in the public folder, maps them to routes and renders
+// their templates. Shared by the server and the static export.
+const fs = require('fs');
+const path = require('path');
+const templates = require('./templates');
+
+// Security: Validate path to prevent directory traversal
+function isValidFilePath(filePath, baseDir) {
+  const resolvedPath = path.resolve(baseDir, filePath);
+  const normalizedBase = path.resolve(baseDir);
+  return resolvedPath.startsWith(normalizedBase);
+}
+
+// Recursively collect HTML files below dir as '/'-separated paths relative to the public folder
+function collectHtmlFiles(dir, relativeDir = '') {
+  let found = [];
+
+  fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+    const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+
+    if (entry.isDirectory()) {
+      // Security: Only descend into plainly named folders (skips dotfolders and symlinks)
+      // The top-level assets folder is served separately under /assets/, partials and layouts never
+      if (/^[\w\-]+$/.test(entry.name) && relativePath !== 'assets' && !templates.TEMPLATE_DIRS.includes(relativePath)) {
+        found = found.concat(collectHtmlFiles(path.join(dir, entry.name), relativePath));
+      }
+      return;
+    }
+
+    // Security: Only allow .html files, prevent path traversal
+    if (entry.isFile() &&
+        !/\.\./.test(entry.name) &&
+        /^[\w\-\.]+\.html$/.test(entry.name)) {
+      found.push(relativePath);
+    }
+  });
+
+  return found;
+}
+
+// Map a page file to its route: docs/intro.html → docs/intro, blog/index.html → blog
+function toRouteName(file) {
+  const route = file.slice(0, -'.html'.length);
+  return route.endsWith('/index') ? route.slice(0, -'/index'.length) : route;
+}
+
+// Top-level 404.html, 500.html, 4xx.html, 5xx.html... are error pages: rendered like pages, but only
+// sent with error responses - never served at a route of their own or listed in the sitemap
+function isErrorPage(route) {
+  return /^[45](\d\d|xx)$/i.test(route);
+}
+
+// Read and render every valid HTML file in the public folder - throws on unsafe or unreadable files.
+// Returns { route: { file, content, modified } }
+function loadPages(publicDir, variables) {
+  // Security: Check if public directory exists and is accessible
+  if (!fs.existsSync(publicDir)) {
+    throw new Error('Public directory does not exist');
+  }
+
+  const htmlFilesList = collectHtmlFiles(publicDir);
+  const renderer = templates.createRenderer(publicDir, variables);
+
+  const loaded = {};
+  const sources = {};
+  htmlFilesList.forEach(file => {
+    // Security: Double-check path is safe
+    if (!isValidFilePath(file, publicDir)) {
+      throw new Error(`Invalid file path detected: ${file}`);
+    }
+
+    const routeName = toRouteName(file);
+
+    // Security: Sanitize route name
+    if (!/^[\w\-]+(\/[\w\-]+)*$/.test(routeName)) {
+      throw new Error(`Invalid route name: ${routeName}`);
+    }
+
+    // Routes are case-insensitive, so about.html and About.html would shadow each other
+    const routeKey = routeName.toLowerCase();
+    if (sources[routeKey]) {
+      throw new Error(`Route collision: /${routeName} is defined by both ${sources[routeKey]} and ${file}`);
+    }
+    sources[routeKey] = file;
+
+    // Templates are rendered here once, so serving stays a plain lookup
+    const rendered = renderer.render(file);
+    loaded[routeName] = { file, content: rendered.content, modified: rendered.modified };
+  });
+
+  return loaded;
+}
+
+module.exports = {
+  collectHtmlFiles,
+  toRouteName,
+  isErrorPage,
+  loadPages
+};
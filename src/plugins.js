@@ -0,0 +1,165 @@
+// Optional Fastify plugins - CORS, security headers, compression and rate limits, configured via .env
+const zlib = require('zlib');
+
+// Split a comma-separated env value into trimmed entries
+function parseList(value) {
+  return (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+// CORS_ORIGINS: empty or "*" reflects any origin (development default),
+// "false" disables CORS, anything else is an allowlist of exact origins
+function corsOptions(env) {
+  const value = (env.CORS_ORIGINS || '').trim();
+  if (value === 'false') return null;
+
+  const origins = parseList(value);
+  return {
+    origin: origins.length === 0 || origins.includes('*') ? true : origins,
+    credentials: env.CORS_CREDENTIALS !== 'false'
+  };
+}
+
+// CONTENT_SECURITY_POLICY: empty uses helmet's defaults, "false" turns CSP off,
+// anything else is a policy string like "default-src 'self'; img-src 'self' data:"
+function contentSecurityPolicy(value) {
+  if (value === 'false') return false;
+
+  if (!value) {
+    // Plain-HTTP dev and LAN servers would break if browsers upgraded every subresource to HTTPS
+    return { useDefaults: true, directives: { upgradeInsecureRequests: null } };
+  }
+
+  const directives = {};
+  value.split(';').map(part => part.trim()).filter(Boolean).forEach(part => {
+    const [name, ...sources] = part.split(/\s+/);
+    directives[name] = sources;
+  });
+  return { useDefaults: false, directives };
+}
+
+// Byte ranges go out as stored - a compressed slice wouldn't match its Content-Range. @fastify/compress
+// is only switched off per route, so requests with a Range header are routed to twins of the file routes
+// that are registered with compress: false
+const RANGE_CONSTRAINT = {
+  name: 'range',
+  storage() {
+    const handlers = new Map();
+    return {
+      get: value => handlers.get(value) || null,
+      set: (value, handler) => handlers.set(value, handler)
+    };
+  },
+  deriveConstraint: request => (request.headers.range ? 'bytes' : undefined),
+  mustMatchWhenDerived: false
+};
+
+// Read plugin settings from the environment
+function readSettings(env = process.env) {
+  return {
+    cors: corsOptions(env),
+    securityHeaders: env.SECURITY_HEADERS === 'true',
+    contentSecurityPolicy: contentSecurityPolicy(env.CONTENT_SECURITY_POLICY),
+    compression: env.COMPRESSION === 'true',
+    compressionThreshold: parseInt(env.COMPRESSION_THRESHOLD) || 1024,
+    rateLimitMax: parseInt(env.RATE_LIMIT_MAX) || 0,
+    healthRateLimitMax: parseInt(env.HEALTH_RATE_LIMIT_MAX) || 0,
+    rateLimitWindow: env.RATE_LIMIT_WINDOW || '1 minute'
+  };
+}
+
+// Register the enabled plugins - routes must be declared after these have loaded
+function registerPlugins(fastify, settings) {
+  if (settings.cors) {
+    fastify.register(require('@fastify/cors'), settings.cors);
+  }
+
+  if (settings.securityHeaders) {
+    fastify.register(require('@fastify/helmet'), {
+      contentSecurityPolicy: settings.contentSecurityPolicy
+    });
+  }
+
+  if (settings.compression) {
+    fastify.register(require('@fastify/compress'), {
+      encodings: ['br', 'gzip'],
+      threshold: settings.compressionThreshold
+    });
+
+    fastify.addConstraintStrategy(RANGE_CONSTRAINT);
+  }
+
+  // Per-IP limits - the global tier is optional, /health opts into its own stricter tier
+  if (settings.rateLimitMax > 0 || settings.healthRateLimitMax > 0) {
+    fastify.register(require('@fastify/rate-limit'), {
+      global: settings.rateLimitMax > 0,
+      max: settings.rateLimitMax,
+      timeWindow: settings.rateLimitWindow
+    });
+  }
+}
+
+// Route options for routes that serve files: one registration, plus the uncompressed twin for
+// Range requests when compression is on
+function fileRouteOptions(settings) {
+  if (!settings.compression) return [{}];
+  return [{}, { constraints: { range: 'bytes' }, compress: false }];
+}
+
+// Route options for the stricter /health rate limit tier
+function healthRouteOptions(settings) {
+  if (settings.healthRateLimitMax <= 0) return {};
+  return {
+    config: {
+      rateLimit: {
+        max: settings.healthRateLimitMax,
+        timeWindow: settings.rateLimitWindow
+      }
+    }
+  };
+}
+
+// Pre-compress a cached page once at load time so the hot path only picks a buffer
+function precompress(content, threshold) {
+  const buffer = Buffer.from(content);
+  if (buffer.length < threshold) return null;
+
+  return {
+    br: zlib.brotliCompressSync(buffer, {
+      params: {
+        [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY,
+        [zlib.constants.BROTLI_PARAM_SIZE_HINT]: buffer.length
+      }
+    }),
+    gzip: zlib.gzipSync(buffer, { level: zlib.constants.Z_BEST_COMPRESSION })
+  };
+}
+
+// Pick the best pre-compressed encoding the client accepts (honours q=0)
+function negotiateEncoding(acceptEncoding) {
+  if (!acceptEncoding) return null;
+
+  const accepted = {};
+  acceptEncoding.split(',').forEach(part => {
+    const [name, ...params] = part.trim().toLowerCase().split(';');
+    const quality = params.map(param => param.trim()).find(param => param.startsWith('q='));
+    accepted[name] = quality ? parseFloat(quality.slice(2)) : 1;
+  });
+
+  const acceptable = (encoding) => {
+    const quality = encoding in accepted ? accepted[encoding] : accepted['*'];
+    return quality > 0;
+  };
+
+  if (acceptable('br')) return 'br';
+  if (acceptable('gzip')) return 'gzip';
+  return null;
+}
+
+module.exports = {
+  readSettings,
+  registerPlugins,
+  fileRouteOptions,
+  healthRouteOptions,
+  precompress,
+  negotiateEncoding
+};
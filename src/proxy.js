@@ -0,0 +1,269 @@
+// Development reverse proxy - forwards path prefixes (e.g. /api/*) to a real backend,
+// including WebSocket upgrades, so pages and API share one origin
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+
+const DEFAULT_TIMEOUT = 30000;
+
+// Connection-level headers that must not be forwarded (RFC 9110 section 7.6.1)
+const HOP_BY_HOP = ['connection', 'keep-alive', 'proxy-authenticate', 'proxy-authorization', 'proxy-connection', 'te', 'trailer', 'transfer-encoding', 'upgrade'];
+
+// Check one rule from the proxy config file and normalize it
+function normalizeRule(rule, index) {
+  const source = `Proxy rule ${index + 1}`;
+
+  if (!rule || typeof rule !== 'object') {
+    throw new Error(`${source}: must be an object`);
+  }
+  if (typeof rule.path !== 'string' || !/^\/[\w\-.\/]*$/.test(rule.path)) {
+    throw new Error(`${source}: path must be a route prefix like "/api"`);
+  }
+
+  let target;
+  try {
+    target = new URL(rule.target);
+  } catch (err) {
+    throw new Error(`${source}: target must be an absolute http(s) URL`);
+  }
+  if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+    throw new Error(`${source}: target must be an absolute http(s) URL`);
+  }
+
+  if (rule.rewrite !== undefined && (typeof rule.rewrite !== 'string' || (rule.rewrite !== '' && !rule.rewrite.startsWith('/')))) {
+    throw new Error(`${source}: rewrite must be "" or a path starting with "/"`);
+  }
+  if (rule.headers !== undefined && (typeof rule.headers !== 'object' || rule.headers === null)) {
+    throw new Error(`${source}: headers must be an object`);
+  }
+
+  const prefix = rule.path.replace(/\/+$/, '');
+  if (!prefix) {
+    throw new Error(`${source}: path must be a prefix below "/" - the root serves the HTML pages`);
+  }
+
+  return {
+    prefix,
+    target,
+    basePath: target.pathname.replace(/\/+$/, ''),
+    rewrite: rule.rewrite !== undefined ? rule.rewrite.replace(/\/+$/, '') : prefix,
+    headers: rule.headers || {},
+    timeout: parseInt(rule.timeout) || DEFAULT_TIMEOUT,
+    ws: rule.ws !== false,
+    changeOrigin: rule.changeOrigin !== false
+  };
+}
+
+// Load rules from a JSON file - a missing file simply means no proxying
+function loadProxyRules(configFile) {
+  if (!fs.existsSync(configFile)) {
+    return [];
+  }
+
+  let rules;
+  try {
+    rules = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+  } catch (err) {
+    throw new Error(`${configFile}: ${err.message}`);
+  }
+
+  if (!Array.isArray(rules)) {
+    throw new Error(`${configFile}: must contain a JSON array of proxy rules`);
+  }
+
+  return rules.map(normalizeRule);
+}
+
+// Does a request URL fall under the rule's prefix? /api matches /api, /api/ and /api/users but not /apis
+function matchesPrefix(rule, url) {
+  const pathname = url.split('?')[0].toLowerCase();
+  const prefix = rule.prefix.toLowerCase();
+  return pathname === prefix || pathname.startsWith(`${prefix}/`);
+}
+
+// Upstream path: target base path + rewritten prefix + remainder of the original URL
+function upstreamPath(rule, url) {
+  const path = `${rule.basePath}${rule.rewrite}${url.slice(rule.prefix.length)}`;
+  return path.startsWith('/') ? path : `/${path}`;
+}
+
+// Request headers for the upstream: hop-by-hop headers removed, forwarding headers and rule headers added
+function upstreamHeaders(rule, req, keepUpgrade) {
+  const headers = {};
+  // HTTP/2 pseudo-headers (:path, :authority...) are not valid HTTP/1.1 headers
+  Object.keys(req.headers).forEach(name => {
+    if (!HOP_BY_HOP.includes(name) && !name.startsWith(':')) headers[name] = req.headers[name];
+  });
+
+  if (keepUpgrade) {
+    headers.connection = 'upgrade';
+    headers.upgrade = req.headers.upgrade;
+  }
+
+  const remoteAddress = req.socket.remoteAddress;
+  headers['x-forwarded-for'] = req.headers['x-forwarded-for']
+    ? `${req.headers['x-forwarded-for']}, ${remoteAddress}`
+    : remoteAddress;
+  headers['x-forwarded-host'] = req.headers.host || req.headers[':authority'];
+  headers['x-forwarded-proto'] = req.socket.encrypted ? 'https' : 'http';
+  if (rule.changeOrigin || !headers.host) headers.host = rule.target.host;
+
+  return { ...headers, ...rule.headers };
+}
+
+function requestOptions(rule, req, keepUpgrade) {
+  return {
+    protocol: rule.target.protocol,
+    hostname: rule.target.hostname,
+    port: rule.target.port,
+    method: req.method,
+    path: upstreamPath(rule, req.url),
+    headers: upstreamHeaders(rule, req, keepUpgrade)
+  };
+}
+
+function transport(rule) {
+  return rule.target.protocol === 'https:' ? https : http;
+}
+
+function proxyError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Forward one HTTP request and stream the upstream response back through Fastify
+function forward(rule, request, reply) {
+  const proxyRequest = transport(rule).request(requestOptions(rule, request.raw, false));
+  let failed = false;
+
+  // The client went away before the response was complete - stop the upstream request too
+  reply.raw.on('close', () => {
+    if (!reply.raw.writableEnded) proxyRequest.destroy();
+  });
+
+  // Before the response started the client gets an error; mid-body both connections are cut,
+  // so a stalled backend can't leave the client waiting forever
+  const fail = (error) => {
+    if (failed || reply.raw.writableEnded) return;
+    failed = true;
+    proxyRequest.destroy();
+    if (reply.raw.headersSent) {
+      reply.raw.destroy();
+      return;
+    }
+    reply.send(error);
+  };
+
+  proxyRequest.setTimeout(rule.timeout, () => {
+    fail(proxyError(504, `Upstream ${rule.target.origin} timed out after ${rule.timeout}ms`));
+  });
+  proxyRequest.on('error', (err) => {
+    fail(proxyError(502, `Upstream ${rule.target.origin} unavailable: ${err.message}`));
+  });
+
+  proxyRequest.on('response', (response) => {
+    reply.code(response.statusCode);
+    Object.keys(response.headers).forEach(name => {
+      if (!HOP_BY_HOP.includes(name)) reply.header(name, response.headers[name]);
+    });
+    reply.send(response);
+  });
+
+  // Bodies arrive as raw streams (see the content type parser below)
+  if (request.body && typeof request.body.pipe === 'function') {
+    request.body.pipe(proxyRequest);
+  } else {
+    proxyRequest.end();
+  }
+}
+
+// Serialize a response head for writing straight to a socket
+function rawResponseHead(statusCode, statusMessage, headers) {
+  const lines = [`HTTP/1.1 ${statusCode} ${statusMessage}`];
+  Object.keys(headers).forEach(name => {
+    [].concat(headers[name]).forEach(value => lines.push(`${name}: ${value}`));
+  });
+  return lines.join('\r\n') + '\r\n\r\n';
+}
+
+// Tunnel a WebSocket (or any HTTP upgrade) to the upstream and pipe both directions
+function forwardUpgrade(rule, req, socket, head) {
+  const proxyRequest = transport(rule).request(requestOptions(rule, req, true));
+
+  proxyRequest.setTimeout(rule.timeout, () => proxyRequest.destroy());
+  proxyRequest.on('error', () => {
+    if (socket.writable) socket.end('HTTP/1.1 502 Bad Gateway\r\n\r\n');
+  });
+
+  proxyRequest.on('upgrade', (response, upstreamSocket, upstreamHead) => {
+    // Established tunnels stay open as long as both sides want
+    proxyRequest.setTimeout(0);
+    socket.setTimeout(0);
+    upstreamSocket.setTimeout(0);
+
+    socket.write(rawResponseHead(response.statusCode, response.statusMessage, response.headers));
+    if (upstreamHead.length > 0) socket.write(upstreamHead);
+    if (head.length > 0) upstreamSocket.write(head);
+
+    upstreamSocket.pipe(socket).pipe(upstreamSocket);
+    upstreamSocket.on('error', () => socket.destroy());
+    socket.on('error', () => upstreamSocket.destroy());
+  });
+
+  // Upstream refused the upgrade - relay its plain response
+  proxyRequest.on('response', (response) => {
+    const headers = { connection: 'close' };
+    Object.keys(response.headers).forEach(name => {
+      if (!HOP_BY_HOP.includes(name)) headers[name] = response.headers[name];
+    });
+    socket.write(rawResponseHead(response.statusCode, response.statusMessage, headers));
+    response.pipe(socket);
+  });
+
+  proxyRequest.end();
+}
+
+// Register proxy routes in their own context so request bodies are streamed instead of parsed.
+// Upgrades never reach Fastify's hooks, so options.authorizeUpgrade(req) applies the auth rules to
+// them: it returns null to let the upgrade through or { statusCode, headers, message } to refuse it
+function registerProxy(fastify, rules, options = {}) {
+  if (rules.length === 0) return;
+
+  fastify.register(async (instance) => {
+    instance.removeAllContentTypeParsers();
+    instance.addContentTypeParser('*', (request, payload, done) => done(null, payload));
+
+    rules.forEach(rule => {
+      const handler = (request, reply) => forward(rule, request, reply);
+      instance.all(rule.prefix, handler);
+      instance.all(`${rule.prefix}/*`, handler);
+    });
+  });
+
+  // Other upgrades are left to the server's other upgrade listeners - only when there are none
+  // does the socket get a 404 instead of hanging
+  const wsRules = rules.filter(rule => rule.ws);
+  fastify.server.on('upgrade', function onUpgrade(req, socket, head) {
+    const rule = wsRules.find(candidate => matchesPrefix(candidate, req.url));
+    if (!rule) {
+      if (fastify.server.listeners('upgrade').every(listener => listener === onUpgrade)) {
+        socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+      }
+      return;
+    }
+
+    const rejection = options.authorizeUpgrade ? options.authorizeUpgrade(req) : null;
+    if (rejection) {
+      const headers = { ...rejection.headers, 'content-type': 'text/plain; charset=utf-8', connection: 'close' };
+      socket.end(rawResponseHead(rejection.statusCode, http.STATUS_CODES[rejection.statusCode], headers) + rejection.message);
+      return;
+    }
+    forwardUpgrade(rule, req, socket, head);
+  });
+}
+
+module.exports = {
+  loadProxyRules,
+  registerProxy
+};
@@ -0,0 +1,372 @@
+// Request recording - captures what clients actually sent and what the server answered (method, URL,
+// headers with credentials redacted, bodies up to BODY_LIMIT) to an NDJSON or HAR file, and reads
+// recordings back for replay and load profiles (HAR files exported from browser devtools work too)
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { STATUS_CODES } = require('http');
+const logging = require('./logging');
+const liveReload = require('./live-reload');
+const admin = require('./admin');
+const { version } = require('../package.json');
+
+// Pre-compressed pages reach the recorder already encoded - their bodies are recorded decoded
+const DECODERS = { br: zlib.brotliDecompressSync, gzip: zlib.gunzipSync, deflate: zlib.inflateSync };
+
+// Never replayed as recorded - they describe the old connection, not the request. Without
+// accept-encoding the responses come back uncompressed, so they compare with the decoded bodies
+const NOT_REPLAYED = ['host', 'connection', 'content-length', 'transfer-encoding', 'keep-alive', 'upgrade', 'accept-encoding'];
+
+function formatFor(file) {
+  return path.extname(file).toLowerCase() === '.har' ? 'har' : 'ndjson';
+}
+
+// Cluster workers each get their own file (recording.3.har) so they don't overwrite each other
+function workerFile(file, slot) {
+  if (slot === undefined) return file;
+  const extension = path.extname(file);
+  return `${file.slice(0, file.length - extension.length)}.${slot}${extension}`;
+}
+
+function readSettings(env = process.env) {
+  if (!env.RECORD_FILE) return { enabled: false };
+
+  const logSettings = logging.readSettings(env);
+  const file = workerFile(path.resolve(__dirname, '..', env.RECORD_FILE), env.CLUSTER_SLOT);
+  return {
+    enabled: true,
+    file,
+    format: formatFor(file),
+    paths: (env.RECORD_PATHS || '').split(',').map(prefix => prefix.trim().replace(/\/+$/, '')).filter(Boolean),
+    bodyLimit: parseInt(env.BODY_LIMIT) || 1024,
+    redactHeaders: logSettings.redactHeaders,
+    redactQuery: logSettings.redactQuery
+  };
+}
+
+// Text bodies are kept as text, binary ones as base64 - both cut at limit bytes. Encoded bodies
+// (Content-Encoding) are decoded first, or kept as base64 when the encoding is unknown
+function captureBody(payload, contentType, limit, contentEncoding) {
+  if (payload === undefined || payload === null || payload === '') return null;
+
+  let buffer;
+  if (Buffer.isBuffer(payload)) {
+    buffer = payload;
+  } else if (typeof payload === 'string') {
+    buffer = Buffer.from(payload);
+  } else {
+    buffer = Buffer.from(JSON.stringify(payload));
+  }
+
+  let encoded = Boolean(contentEncoding) && contentEncoding !== 'identity';
+  const decode = encoded && DECODERS[String(contentEncoding).toLowerCase()];
+  if (decode) {
+    try {
+      buffer = decode(buffer);
+      encoded = false;
+    } catch (err) {
+      // Not what the header says - recorded as the bytes that were sent
+    }
+  }
+
+  const truncated = buffer.length > limit;
+  const kept = truncated ? buffer.subarray(0, limit) : buffer;
+  const isText = !encoded && (/^text\/|json|xml|javascript|x-www-form-urlencoded/.test(contentType || '') || typeof payload === 'string');
+  return {
+    text: isText ? kept.toString('utf8') : kept.toString('base64'),
+    encoding: isText ? undefined : 'base64',
+    size: buffer.length,
+    truncated
+  };
+}
+
+function harHeaders(headers) {
+  return Object.keys(headers).flatMap(name => [].concat(headers[name]).map(value => ({ name, value: String(value) })));
+}
+
+function harEntry(entry) {
+  const url = new URL(entry.url, entry.origin);
+  const requestType = entry.request.headers['content-type'] || 'application/octet-stream';
+  const responseType = entry.response.headers['content-type'] || '';
+  const comments = [];
+  if (entry.request.body && entry.request.body.truncated) comments.push('request body truncated');
+  if (entry.response.body && entry.response.body.truncated) comments.push('response body truncated');
+
+  return {
+    startedDateTime: entry.startedAt,
+    time: entry.durationMs,
+    request: {
+      method: entry.method,
+      url: url.href,
+      httpVersion: `HTTP/${entry.httpVersion}`,
+      cookies: [],
+      headers: harHeaders(entry.request.headers),
+      queryString: [...url.searchParams].map(([name, value]) => ({ name, value })),
+      ...(entry.request.body ? {
+        postData: {
+          mimeType: requestType,
+          text: entry.request.body.text,
+          ...(entry.request.body.encoding ? { encoding: entry.request.body.encoding } : {})
+        }
+      } : {}),
+      headersSize: -1,
+      bodySize: entry.request.body ? entry.request.body.size : 0
+    },
+    response: {
+      status: entry.status,
+      statusText: STATUS_CODES[entry.status] || '',
+      httpVersion: `HTTP/${entry.httpVersion}`,
+      cookies: [],
+      headers: harHeaders(entry.response.headers),
+      content: {
+        size: entry.response.body ? entry.response.body.size : 0,
+        mimeType: responseType,
+        ...(entry.response.body ? { text: entry.response.body.text } : {}),
+        ...(entry.response.body && entry.response.body.encoding ? { encoding: entry.response.body.encoding } : {})
+      },
+      redirectURL: entry.response.headers.location || '',
+      headersSize: -1,
+      bodySize: entry.response.body ? entry.response.body.size : -1
+    },
+    cache: {},
+    timings: { send: 0, wait: entry.durationMs, receive: 0 },
+    ...(comments.length > 0 ? { comment: comments.join(', ') } : {}),
+    _requestId: entry.id
+  };
+}
+
+function harDocument(entries) {
+  return {
+    log: {
+      version: '1.2',
+      creator: { name: 'AlphaBlue', version },
+      entries
+    }
+  };
+}
+
+// Entries are appended as requests finish: NDJSON one per line, HAR inside the document's entries
+// array, which is closed when the server stops
+function createWriter(settings) {
+  fs.mkdirSync(path.dirname(settings.file), { recursive: true });
+
+  const stream = fs.createWriteStream(settings.file, { flags: settings.format === 'ndjson' ? 'a' : 'w' });
+  stream.on('error', err => console.error('⚠️  Recording failed:', err.message));
+
+  if (settings.format === 'ndjson') {
+    return {
+      add: entry => stream.write(JSON.stringify(entry) + '\n'),
+      close: done => stream.end(done)
+    };
+  }
+
+  const document = JSON.stringify(harDocument([]), null, 2);
+  const entriesAt = document.lastIndexOf('[]') + 1;
+  let count = 0;
+  stream.write(`${document.slice(0, entriesAt)}\n`);
+
+  return {
+    add(entry) {
+      stream.write(`${count++ > 0 ? ',\n' : ''}${JSON.stringify(harEntry(entry))}`);
+    },
+    close(done) {
+      stream.end(`\n${document.slice(entriesAt)}\n`, done);
+    }
+  };
+}
+
+// Hooks that record every finished request - register before compression so bodies are captured uncompressed
+function createRecorder(settings) {
+  if (!settings.enabled) {
+    return { enabled: false, register: () => {} };
+  }
+
+  const captured = new WeakMap();
+
+  function recorded(request) {
+    const url = request.url.split('?')[0];
+    // The live reload stream never ends, the admin dashboard only describes the server
+    if (url === liveReload.LIVE_RELOAD_PATH || url === admin.ADMIN_PATH || url.startsWith(`${admin.ADMIN_PATH}/`)) return false;
+    return settings.paths.length === 0 ||
+      settings.paths.some(prefix => url === prefix || url.startsWith(`${prefix}/`));
+  }
+
+  function redact(headers) {
+    const result = {};
+    Object.keys(headers).forEach(name => {
+      if (headers[name] === undefined) return;
+      result[name] = settings.redactHeaders.has(name.toLowerCase()) ? '[REDACTED]' : headers[name];
+    });
+    return result;
+  }
+
+  function register(fastify) {
+    const writer = createWriter(settings);
+
+    fastify.addHook('onSend', (request, reply, payload, done) => {
+      if (recorded(request)) {
+        // Streamed files and event streams are recorded without a body
+        const streamed = payload && typeof payload.pipe === 'function';
+        captured.set(request, {
+          headers: redact(reply.getHeaders()),
+          body: streamed ? null : captureBody(payload, reply.getHeader('content-type'), settings.bodyLimit, reply.getHeader('content-encoding'))
+        });
+      }
+      done(null, payload);
+    });
+
+    fastify.addHook('onResponse', (request, reply, done) => {
+      const response = captured.get(request);
+      if (!response) {
+        done();
+        return;
+      }
+
+      writer.add({
+        id: request.id,
+        startedAt: new Date(Date.now() - reply.elapsedTime).toISOString(),
+        durationMs: Math.round(reply.elapsedTime * 100) / 100,
+        origin: `${request.protocol}://${request.hostname}`,
+        httpVersion: request.raw.httpVersion,
+        method: request.method,
+        url: logging.redactUrl(request.url, settings.redactQuery),
+        status: reply.statusCode,
+        request: {
+          headers: redact(request.headers),
+          body: captureBody(request.body, request.headers['content-type'], settings.bodyLimit)
+        },
+        response
+      });
+      done();
+    });
+
+    fastify.addHook('onClose', (instance, done) => {
+      writer.close(done);
+    });
+  }
+
+  return {
+    enabled: true,
+    file: settings.file,
+    format: settings.format,
+    register
+  };
+}
+
+function headerObject(list) {
+  const headers = {};
+  (list || []).forEach(header => {
+    const name = String(header.name).toLowerCase();
+    // HTTP/2 pseudo headers (:authority) from browser exports
+    if (name.startsWith(':')) return;
+    headers[name] = headers[name] === undefined ? header.value : `${headers[name]}, ${header.value}`;
+  });
+  return headers;
+}
+
+function bodyFrom(text, encoding) {
+  if (text === undefined || text === null) return null;
+  return encoding === 'base64' ? Buffer.from(text, 'base64') : text;
+}
+
+// Headers that can be sent again: no hop-by-hop headers, no redacted credentials
+function replayableHeaders(headers) {
+  const result = {};
+  Object.keys(headers).forEach(name => {
+    if (NOT_REPLAYED.includes(name.toLowerCase()) || headers[name] === '[REDACTED]') return;
+    result[name] = headers[name];
+  });
+  return result;
+}
+
+// A server that was killed leaves its HAR file without the closing brackets of the entries array
+function parseHar(content) {
+  try {
+    return JSON.parse(content);
+  } catch (err) {
+    try {
+      return JSON.parse(`${content.trimEnd()}\n]}}`);
+    } catch (repairError) {
+      throw err;
+    }
+  }
+}
+
+// Read a recording (NDJSON from this server, or any HAR file) into
+// [{ method, path, headers, body, response: { status, headers, body, truncated } }]
+function loadRecording(file) {
+  let content;
+  try {
+    content = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    throw new Error(`Could not read recording ${file}: ${err.message}`);
+  }
+
+  let raw;
+  try {
+    if (formatFor(file) === 'har' || /^\s*\{\s*"log"/.test(content)) {
+      const har = parseHar(content);
+      if (!har || !har.log || !Array.isArray(har.log.entries)) {
+        throw new Error('expected a HAR document with log.entries');
+      }
+      raw = har.log.entries.map(entry => ({
+        method: entry.request.method,
+        url: entry.request.url,
+        headers: headerObject(entry.request.headers),
+        body: entry.request.postData ? bodyFrom(entry.request.postData.text, entry.request.postData.encoding) : null,
+        response: {
+          status: entry.response.status,
+          headers: headerObject(entry.response.headers),
+          body: bodyFrom(entry.response.content && entry.response.content.text, entry.response.content && entry.response.content.encoding),
+          truncated: /response body truncated/.test(entry.comment || '')
+        }
+      }));
+    } else {
+      raw = content.split('\n').filter(line => line.trim()).map((line, index) => {
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (err) {
+          throw new Error(`line ${index + 1}: ${err.message}`);
+        }
+        const requestBody = entry.request && entry.request.body;
+        const responseBody = entry.response && entry.response.body;
+        return {
+          method: entry.method,
+          url: entry.url,
+          headers: (entry.request && entry.request.headers) || {},
+          body: requestBody ? bodyFrom(requestBody.text, requestBody.encoding) : null,
+          response: {
+            status: entry.status,
+            headers: (entry.response && entry.response.headers) || {},
+            body: responseBody ? bodyFrom(responseBody.text, responseBody.encoding) : null,
+            truncated: Boolean(responseBody && responseBody.truncated)
+          }
+        };
+      });
+    }
+  } catch (err) {
+    throw new Error(`Invalid recording ${file}: ${err.message}`);
+  }
+
+  return raw.map((entry, index) => {
+    if (typeof entry.method !== 'string' || typeof entry.url !== 'string') {
+      throw new Error(`Invalid recording ${file}: entry ${index + 1} needs a method and a URL`);
+    }
+    // Absolute URLs (HAR) are replayed against the chosen server - only the path and query matter
+    const url = new URL(entry.url, 'http://recording.local');
+    return {
+      method: entry.method.toUpperCase(),
+      path: `${url.pathname}${url.search}`,
+      headers: replayableHeaders(entry.headers),
+      body: entry.body,
+      response: entry.response
+    };
+  }).filter(entry => !entry.path.startsWith(liveReload.LIVE_RELOAD_PATH));
+}
+
+module.exports = {
+  readSettings,
+  createRecorder,
+  loadRecording
+};
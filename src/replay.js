@@ -0,0 +1,220 @@
+// Replay - re-fires a recording against a server, one request after another, and diffs each response
+// with the recorded one (status, content type and body; JSON bodies field by field)
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const recording = require('./recording');
+const tls = require('./tls');
+
+const REQUEST_TIMEOUT_MS = 10000;
+const MAX_DIFFERENCES = 10;
+
+// replay <file> [--url URL] [--header "name: value"]... [--ignore $.path]... [--json FILE]
+function parseArgs(argv, env = process.env) {
+  const tlsSettings = tls.readSettings(env);
+  const options = {
+    file: null,
+    url: `${tlsSettings.enabled ? 'https' : 'http'}://localhost:${env.PORT || 3000}`,
+    headers: {},
+    ignore: [],
+    json: null
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (['--url', '--header', '--ignore', '--json'].includes(arg)) {
+      const value = argv[++i];
+      if (value === undefined) throw new Error(`${arg} needs a value`);
+
+      if (arg === '--url') options.url = value.replace(/\/+$/, '');
+      if (arg === '--json') options.json = value;
+      if (arg === '--ignore') options.ignore.push(value);
+      if (arg === '--header') {
+        const separator = value.indexOf(':');
+        if (separator < 1) throw new Error('--header must look like "name: value"');
+        options.headers[value.slice(0, separator).trim().toLowerCase()] = value.slice(separator + 1).trim();
+      }
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else {
+      options.file = path.resolve(arg);
+    }
+  }
+
+  if (!options.file) {
+    throw new Error('Which recording? Usage: node index.js replay <file.har|file.ndjson> [--url URL]');
+  }
+
+  // The generated development CA, when the server uses it
+  const caFile = path.join(tlsSettings.certDir, 'ca.crt');
+  options.ca = options.url.startsWith('https:') && fs.existsSync(caFile) ? fs.readFileSync(caFile) : undefined;
+  return options;
+}
+
+// Resolves with { status, headers, body (Buffer), timeMs }
+function send(baseUrl, entry, headers, ca) {
+  const url = new URL(entry.path, `${baseUrl}/`);
+  const client = url.protocol === 'https:' ? https : http;
+  const started = process.hrtime.bigint();
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(url, {
+      method: entry.method,
+      headers: { ...entry.headers, ...headers },
+      ca,
+      timeout: REQUEST_TIMEOUT_MS
+    }, response => {
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => resolve({
+        status: response.statusCode,
+        headers: response.headers,
+        body: Buffer.concat(chunks),
+        timeMs: Number(process.hrtime.bigint() - started) / 1e6
+      }));
+      response.on('error', reject);
+    });
+
+    request.on('timeout', () => request.destroy(new Error(`Timed out after ${REQUEST_TIMEOUT_MS / 1000}s`)));
+    request.on('error', reject);
+    if (entry.body !== null && entry.body !== undefined) request.write(entry.body);
+    request.end();
+  });
+}
+
+function mediaType(headers) {
+  return String(headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+}
+
+function preview(value) {
+  const text = JSON.stringify(value);
+  return text === undefined ? 'missing' : text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+// Differences between two parsed JSON values as "$.items[0].name: "a" → "b""
+function diffJson(expected, actual, at, ignore, differences) {
+  if (ignore.some(prefix => at === prefix || at.startsWith(`${prefix}.`) || at.startsWith(`${prefix}[`))) return;
+
+  const bothObjects = expected && actual && typeof expected === 'object' && typeof actual === 'object' &&
+    Array.isArray(expected) === Array.isArray(actual);
+  if (!bothObjects) {
+    if (JSON.stringify(expected) !== JSON.stringify(actual)) {
+      differences.push(`${at}: ${preview(expected)} → ${preview(actual)}`);
+    }
+    return;
+  }
+
+  if (Array.isArray(expected)) {
+    if (expected.length !== actual.length) differences.push(`${at}: ${expected.length} items → ${actual.length} items`);
+    for (let index = 0; index < Math.min(expected.length, actual.length); index++) {
+      diffJson(expected[index], actual[index], `${at}[${index}]`, ignore, differences);
+    }
+    return;
+  }
+
+  new Set([...Object.keys(expected), ...Object.keys(actual)]).forEach(key => {
+    diffJson(expected[key], actual[key], `${at}.${key}`, ignore, differences);
+  });
+}
+
+function parseJson(body) {
+  try {
+    return { value: JSON.parse(body.toString('utf8')) };
+  } catch (err) {
+    return null;
+  }
+}
+
+// What changed between the recorded and the replayed response - an empty list means "same"
+function compareResponses(recorded, actual, ignore = []) {
+  const differences = [];
+
+  if (recorded.status !== actual.status) {
+    differences.push(`status ${recorded.status} → ${actual.status}`);
+  }
+  const recordedType = mediaType(recorded.headers);
+  if (recordedType && recordedType !== mediaType(actual.headers)) {
+    differences.push(`content-type ${recordedType} → ${mediaType(actual.headers) || 'none'}`);
+  }
+
+  // Nothing to compare when the recording has no body (streamed, HEAD, 304)
+  if (recorded.body === null || recorded.body === undefined) return differences;
+
+  const expected = Buffer.from(recorded.body);
+  // A truncated recording can only vouch for the start of the body
+  const received = recorded.truncated ? actual.body.subarray(0, expected.length) : actual.body;
+
+  const expectedJson = !recorded.truncated && /json/.test(recordedType) ? parseJson(expected) : null;
+  const receivedJson = expectedJson ? parseJson(received) : null;
+  if (expectedJson && receivedJson) {
+    const bodyDifferences = [];
+    diffJson(expectedJson.value, receivedJson.value, '$', ignore, bodyDifferences);
+    differences.push(...bodyDifferences);
+  } else if (!expected.equals(received)) {
+    const expectedLines = expected.toString('utf8').split('\n');
+    const receivedLines = received.toString('utf8').split('\n');
+    const line = expectedLines.findIndex((text, index) => text !== receivedLines[index]);
+    differences.push(line === -1
+      ? `body: ${expected.length} bytes → ${received.length} bytes`
+      : `body line ${line + 1}: ${preview(expectedLines[line])} → ${preview(receivedLines[line])}`);
+  }
+
+  return differences.length > MAX_DIFFERENCES
+    ? [...differences.slice(0, MAX_DIFFERENCES), `... and ${differences.length - MAX_DIFFERENCES} more`]
+    : differences;
+}
+
+// Replay every entry in order and print one line per request - resolves with the report
+async function replay(options) {
+  const entries = recording.loadRecording(options.file);
+  if (entries.length === 0) {
+    throw new Error(`${options.file} contains no requests`);
+  }
+
+  console.log(`🔁 Replaying ${entries.length} request(s) from ${path.basename(options.file)} against ${options.url}`);
+  const results = [];
+
+  for (const entry of entries) {
+    const label = `${entry.method} ${entry.path}`;
+    try {
+      const actual = await send(options.url, entry, options.headers, options.ca);
+      const differences = compareResponses(entry.response, actual, options.ignore);
+      results.push({ request: label, status: actual.status, timeMs: actual.timeMs, differences });
+
+      if (differences.length === 0) {
+        console.log(`✅ ${label} ${actual.status} \x1b[90m(${actual.timeMs.toFixed(1)}ms)\x1b[0m`);
+      } else {
+        console.log(`❌ ${label}`);
+        differences.forEach(difference => console.log(`   ${difference}`));
+      }
+    } catch (err) {
+      results.push({ request: label, error: err.message, differences: [] });
+      console.log(`💥 ${label} - ${err.message}`);
+    }
+  }
+
+  const report = {
+    recording: options.file,
+    url: options.url,
+    timestamp: new Date().toISOString(),
+    total: results.length,
+    matched: results.filter(result => !result.error && result.differences.length === 0).length,
+    changed: results.filter(result => result.differences.length > 0).length,
+    failed: results.filter(result => result.error).length,
+    results
+  };
+
+  console.log(`\n📋 ${report.matched} matched, ${report.changed} changed, ${report.failed} failed`);
+  if (options.json) {
+    fs.writeFileSync(path.resolve(options.json), JSON.stringify(report, null, 2) + '\n');
+    console.log(`💾 JSON report written to ${options.json}`);
+  }
+  return report;
+}
+
+module.exports = {
+  parseArgs,
+  compareResponses,
+  replay
+};
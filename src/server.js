@@ -0,0 +1,698 @@
+// Server factory - builds the Fastify instance with pages, assets, APIs and health endpoints
+// without listening or touching process state, so it can be embedded and tested with inject()
+const path = require('path');
+const Fastify = require('fastify');
+const tls = require('./tls');
+const liveReload = require('./live-reload');
+const apiRoutes = require('./api-routes');
+const mockData = require('./mock-data');
+const plugins = require('./plugins');
+const caching = require('./caching');
+const metrics = require('./metrics');
+const health = require('./health');
+const proxy = require('./proxy');
+const templates = require('./templates');
+const pages = require('./pages');
+const errors = require('./errors');
+const spa = require('./spa');
+const auth = require('./auth');
+const logging = require('./logging');
+const config = require('./config');
+const sites = require('./sites');
+const staticFiles = require('./static-files');
+const recording = require('./recording');
+const admin = require('./admin');
+
+const projectDir = path.resolve(__dirname, '..');
+// Folders and files from options or .env resolve against the project folder (absolute paths stay as-is)
+function projectPath(value) {
+  return path.resolve(projectDir, value);
+}
+
+// Run a loading step, prefixing its error so the caller can tell which part of the setup failed
+function load(description, step) {
+  try {
+    return step();
+  } catch (err) {
+    err.message = `${description}: ${err.message}`;
+    throw err;
+  }
+}
+
+// Options (all optional - env is the default source for everything else):
+//   env           - settings source, process.env by default
+//   publicDir     - pages folder (PUBLIC_DIR)
+//   port, host    - where the caller will listen; used for SERVER_NAME, {{PORT}} and certificates
+//   apiDir, dataDir, checksDir, authConfig, proxyConfig, sitesConfig - API_DIR, DATA_DIR, HEALTH_CHECKS_DIR,
+//                   AUTH_CONFIG, PROXY_CONFIG, SITES_CONFIG
+//   logger        - Fastify logger option instead of the one built from ENABLE_LOGGING / LOG_*
+//   hooks         - { hookName: fn | [fn] } added before any route, e.g. { onRequest: [...] }
+//   routes        - extra Fastify route definitions ({ method, url, handler, schema... })
+//   healthExtras  - function returning extra fields for the /health response
+//   quiet         - skip the startup console output
+// Throws when a setting in env is malformed, or pages, sites, APIs, mock data, proxy rules, checks or auth config
+// can't be loaded.
+// Route registration problems (clashing routes) reject ready(), listen() and inject().
+function createServer(options = {}) {
+  const env = options.env || process.env;
+  const print = options.quiet ? () => {} : console.log;
+
+  // Malformed values (BODY_LIMIT=1k) fail here instead of silently falling back to defaults
+  const settings = config.checkEnv(env);
+
+  const port = options.port !== undefined ? options.port : (env.PORT || 3000);
+  const host = options.host || env.HOST || '0.0.0.0';
+  const serverName = env.SERVER_NAME || `Simple-API-${port}`;
+
+  // HTTPS / HTTP2 - the certificate must exist before the server is created
+  const tlsSettings = tls.readSettings(env);
+  let tlsCredentials = null;
+
+  if (tlsSettings.enabled) {
+    tlsCredentials = load('Could not set up HTTPS', () => tls.loadCredentials(tlsSettings, host));
+    if (tlsCredentials.generated) {
+      print(`🔐 Generated a local development certificate in ${tlsSettings.certDir}`);
+    }
+  }
+
+  // Access log, request ids, rotation and redaction (LOG_* settings)
+  const requestLogging = load('Could not set up logging', () => logging.createLogging(logging.readSettings(env)));
+
+  const fastify = Fastify({
+    logger: options.logger !== undefined ? options.logger : requestLogging.logger,
+    disableRequestLogging: true,
+    genReqId: requestLogging.genReqId,
+    requestIdHeader: false,
+    ignoreTrailingSlash: true,
+    trustProxy: env.TRUST_PROXY === 'true',
+    onProtoPoisoning: 'error',
+    onConstructorPoisoning: 'error',
+    maxParamLength: settings.MAX_PARAM_LENGTH,
+    bodyLimit: settings.BODY_LIMIT,
+    keepAliveTimeout: settings.KEEP_ALIVE_TIMEOUT,
+    connectionTimeout: settings.CONNECTION_TIMEOUT,
+    requestTimeout: settings.REQUEST_TIMEOUT,
+    caseSensitive: false,
+    http2: tlsSettings.http2,
+    https: tlsCredentials ? { key: tlsCredentials.key, cert: tlsCredentials.cert, allowHTTP1: true } : null
+  });
+
+  // Request recording (RECORD_FILE) - hooked in before compression so bodies are recorded as sent
+  const recorder = load('Could not set up recording', () => recording.createRecorder(recording.readSettings(env)));
+  recorder.register(fastify);
+  if (recorder.enabled) {
+    print(`⏺️  Recording requests to ${recorder.file} (${recorder.format})`);
+  }
+
+  // Register CORS, security headers, compression and rate limits as configured in .env
+  const pluginSettings = plugins.readSettings(env);
+  plugins.registerPlugins(fastify, pluginSettings);
+  requestLogging.register(fastify);
+
+  // Load all HTML files from public folder into memory at startup
+  const publicDirName = options.publicDir || env.PUBLIC_DIR || 'public';
+  const publicDir = projectPath(publicDirName);
+  const liveReloadEnabled = env.LIVE_RELOAD === 'true';
+  const assetFingerprinting = env.ASSET_FINGERPRINT === 'true';
+
+  // Non-HTML files in the site folders - in-memory pages stay the fast path, other files share one
+  // size-bounded cache and larger ones are streamed with @fastify/static
+  const staticSettings = load('Could not set up static files', () => staticFiles.readSettings(env));
+  const staticCache = staticFiles.createFileCache(staticSettings.cacheSize, staticSettings.maxFileSize);
+  fastify.register(require('@fastify/static'), {
+    root: publicDir,
+    serve: false
+  });
+
+  // Shared by every site: {{NAME}} placeholders, page Cache-Control (pages revalidate against their
+  // ETag by default), asset fingerprinting, compression and live reload
+  const siteSettings = {
+    templateVariables: templates.globalVariables(env, {
+      SERVER_NAME: serverName,
+      PORT: String(port)
+    }),
+    pageCacheControl: env.PAGE_CACHE_CONTROL || 'no-cache',
+    pageCacheRules: caching.parseCacheRules(env.PAGE_CACHE_RULES),
+    fingerprint: assetFingerprinting,
+    liveReload: liveReloadEnabled,
+    pluginSettings,
+    staticFiles: { listing: staticSettings.listing, cache: staticCache }
+  };
+
+  // The default site is PUBLIC_DIR on every host and path no other site claims
+  const mainSite = sites.createSite({
+    name: 'main',
+    dir: publicDir,
+    dirName: publicDirName,
+    hosts: null,
+    prefix: '',
+    auth: null
+  }, siteSettings);
+
+  load('Could not load HTML files', () => {
+    const loadedCount = mainSite.load();
+
+    // Clean summary instead of spam
+    if (loadedCount <= 5) {
+      // Show individual files only if 5 or fewer
+      mainSite.routes().forEach(route => {
+        print(`📄 ${route}`);
+      });
+    } else {
+      // Just show summary for many files
+      print(`📄 Loading ${loadedCount} HTML files...`);
+    }
+
+    print(`📁 ${loadedCount} HTML files loaded into memory`);
+  });
+
+  // More sites by host name and/or path prefix, each with its own pages and assets (optional)
+  const sitesConfig = projectPath(options.sitesConfig || env.SITES_CONFIG || 'sites.json');
+  const extraSites = load('Could not load sites', () => sites.loadSites(sitesConfig)).map(definition => {
+    const site = sites.createSite(definition, siteSettings);
+    const loadedCount = load(`Could not load site "${site.name}"`, () => site.load());
+    const mount = `${site.hosts ? site.hosts.join(', ') : 'any host'}${site.prefix ? ` ${site.prefix}/*` : ''}`;
+    print(`🌍 Site ${site.name}: ${mount} → ${site.dirName} (${loadedCount} page${loadedCount === 1 ? '' : 's'}${site.auth ? ', protected' : ''})`);
+    return site;
+  });
+  const allSites = [mainSite, ...extraSites];
+
+  // {{PORT}} is the port actually bound - the command line moves on to the next free port when the
+  // requested one is taken, and port 0 lets the OS pick - so pages are rendered again with it
+  fastify.addHook('onListen', (done) => {
+    const address = fastify.server.address();
+    const boundPort = address && typeof address === 'object' ? String(address.port) : null;
+    if (boundPort && boundPort !== siteSettings.templateVariables.PORT) {
+      siteSettings.templateVariables.PORT = boundPort;
+      try {
+        allSites.forEach(site => site.load());
+      } catch (err) {
+        console.error('⚠️  Could not render pages for the bound port:', err.message);
+      }
+    }
+    done();
+  });
+  const resolveSite = sites.createSiteResolver(extraSites, mainSite);
+
+  // Load custom API route modules from the api folder (optional)
+  const apiDir = projectPath(options.apiDir || env.API_DIR || 'api');
+  const customApiRoutes = load('Could not load API routes', () => apiRoutes.loadApiRoutes(apiDir));
+  customApiRoutes.forEach(route => {
+    print(`🔌 ${route.method} ${route.path}`);
+  });
+
+  // Load mock REST resources from JSON fixtures in the data folder (optional)
+  const dataDir = projectPath(options.dataDir || env.DATA_DIR || 'data');
+  const mockResources = load('Could not load mock data', () => mockData.loadMockResources(dataDir));
+  mockResources.forEach(resource => {
+    print(`🗃️  /${resource.name} (${resource.items.length} mock records)`);
+  });
+
+  // Load reverse proxy rules for forwarding API prefixes to a real backend (optional)
+  const proxyConfig = projectPath(options.proxyConfig || env.PROXY_CONFIG || 'proxy.json');
+  const proxyRules = load('Could not load proxy rules', () => proxy.loadProxyRules(proxyConfig));
+  proxyRules.forEach(rule => {
+    print(`🔀 ${rule.prefix}/* → ${rule.target.origin}${rule.basePath}${rule.rewrite}/*`);
+  });
+
+  // Readiness checks - built-in checks plus user-defined ones from the checks folder (optional)
+  const healthChecks = health.createHealthChecks();
+  const checksDir = projectPath(options.checksDir || env.HEALTH_CHECKS_DIR || 'checks');
+  const eventLoopCheck = health.eventLoopDelayCheck(
+    settings.HEALTH_EVENT_LOOP_WARN_MS,
+    settings.HEALTH_EVENT_LOOP_FAIL_MS
+  );
+
+  load('Could not load health checks', () => {
+    healthChecks.register('public-dir', health.publicDirCheck(publicDir));
+    extraSites.forEach(site => healthChecks.register(`site-dir:${site.name}`, health.publicDirCheck(site.dir)));
+    healthChecks.register('event-loop-delay', eventLoopCheck);
+    health.loadHealthChecks(checksDir).forEach(definition => {
+      healthChecks.register(definition.name, definition.check, { timeout: definition.timeout });
+      print(`🩺 Health check: ${definition.name}`);
+    });
+  });
+
+  // SPA fallback - unknown deep links get the app's page so client-side routing works (optional)
+  const spaRules = spa.parseSpaRules(env.SPA_FALLBACK);
+  spaRules.forEach(rule => {
+    if (!mainSite.find(rule.route)) {
+      throw new Error(`SPA fallback page /${rule.route} does not exist in ${publicDirName}`);
+    }
+    print(`🧭 SPA fallback: ${rule.prefix}/* → /${rule.route}`);
+  });
+
+  // Server-owned paths keep their 404s
+  const spaRoute = spa.createSpaFallback(spaRules, [
+    '/assets',
+    '/api',
+    '/health',
+    '/metrics',
+    liveReload.LIVE_RELOAD_PATH,
+    admin.ADMIN_PATH,
+    ...mockResources.map(resource => `/${resource.name}`),
+    ...customApiRoutes.map(route => route.path.split(/[:*]/)[0]),
+    ...proxyRules.map(rule => rule.prefix),
+    ...extraSites.filter(site => site.prefix).map(site => site.prefix)
+  ]);
+
+  // ERROR_DEBUG adds stack traces and request ids to error responses - never enable it in production
+  const errorResponder = errors.createErrorResponder({
+    debug: env.ERROR_DEBUG === 'true',
+    // Error pages come from the site that was asked: <status>.html first, then 4xx.html / 5xx.html
+    findPage: (statusCode, request) => (request.site || mainSite).errorPage(statusCode)
+  });
+
+  // Authentication - auth.json rules protect route and page prefixes, built-in endpoints require scopes
+  const authConfigFile = projectPath(options.authConfig || env.AUTH_CONFIG || 'auth.json');
+  const authConfig = load('Could not load auth config', () => auth.loadAuthConfig(authConfigFile, env));
+  authConfig.rules.forEach(rule => {
+    const scopes = rule.scopes.length > 0 ? `, scopes: ${rule.scopes.join(' ')}` : '';
+    print(`🔒 ${rule.path} (${rule.methods.join(', ')}${scopes})`);
+  });
+
+  const authenticator = auth.createAuth(authConfig);
+
+  // Retry-After and WWW-Authenticate headers for a failed authentication
+  function rejectionHeaders(result, methods, realm) {
+    const headers = {};
+    if (result.retryAfter) {
+      headers['retry-after'] = String(result.retryAfter);
+    }
+    if (result.statusCode === 401) {
+      const challenge = authenticator.challenge(methods, realm);
+      if (challenge) headers['www-authenticate'] = challenge;
+    }
+    return headers;
+  }
+
+  // Send a failed authentication as a negotiated error response with the right challenge headers
+  function rejectAuth(request, reply, result, methods, realm) {
+    reply.headers(rejectionHeaders(result, methods, realm));
+
+    const error = new Error(result.message);
+    error.statusCode = result.statusCode;
+    errorResponder.send(request, reply, result.statusCode, error);
+  }
+
+  // Scope check shared by protected endpoints - sends the rejection and returns false when not allowed.
+  // challengeMethods pick the WWW-Authenticate challenge; pages meant for browsers offer Basic
+  function checkAccess(request, reply, scope, challengeMethods = ['apiKey', 'bearer']) {
+    const result = authenticator.authenticate(request, { scopes: [scope] });
+    if (result.ok) {
+      request.auth = result.identity;
+      return true;
+    }
+
+    // Security warning for default API key - unless auth.json users can log in through the password prompt
+    const passwordPrompt = challengeMethods.includes('basic') && authConfig.users.length > 0;
+    if (authConfig.defaultHealthKey && result.statusCode === 401 && !passwordPrompt) {
+      reply.code(403);
+      reply.header('content-type', 'text/plain; charset=utf-8');
+      reply.send('403 Forbidden - Change default API key in .env file for security');
+      return false;
+    }
+
+    rejectAuth(request, reply, result, challengeMethods, serverName);
+    return false;
+  }
+
+  // WebSocket upgrades to proxied prefixes skip the onRequest hooks - the same rules are checked here
+  function authorizeUpgrade(req) {
+    const url = new URL(req.url, 'http://upgrade.local');
+    const request = {
+      method: req.method,
+      url: req.url,
+      headers: req.headers,
+      hostname: req.headers.host || '',
+      ip: req.socket.remoteAddress,
+      query: Object.fromEntries(url.searchParams)
+    };
+
+    const rule = authenticator.ruleFor(request) || resolveSite(request).auth;
+    if (!rule) return null;
+
+    const result = authenticator.authenticate(request, rule);
+    if (result.ok) return null;
+    return { statusCode: result.statusCode, headers: rejectionHeaders(result, rule.methods, rule.realm), message: result.message };
+  }
+
+  // Count and total size of the pages held in memory, over all sites
+  function pageStats() {
+    return allSites.reduce((total, site) => {
+      const stats = site.stats();
+      return { count: total.count + stats.count, bytes: total.bytes + stats.bytes };
+    }, { count: 0, bytes: 0 });
+  }
+
+  // Pages of every site with their sizes, for the admin dashboard
+  function pageSizes() {
+    return allSites.flatMap(site => site.pageSizes().map(page => ({ site: site.name, ...page })));
+  }
+
+  const metricsEnabled = env.METRICS === 'true';
+  const adminSettings = admin.readSettings(env);
+  const healthExtras = options.healthExtras || (() => ({}));
+
+  // What the caller needs to listen and describe the server (startup dashboard, tooling)
+  fastify.decorate('alphablue', {
+    serverName,
+    port,
+    host,
+    publicDir,
+    publicDirName,
+    liveReload: liveReloadEnabled,
+    admin: adminSettings.enabled,
+    sites: extraSites,
+    tls: {
+      enabled: Boolean(tlsCredentials),
+      http2: tlsSettings.http2,
+      redirectPort: tlsSettings.redirectPort,
+      caFile: tlsCredentials ? tlsCredentials.caFile : null
+    },
+    pageStats
+  });
+
+  // Routes are declared once the plugins above have loaded, so plugin route hooks
+  // (compression, rate limits) apply to every route. Async so registration errors reject ready()
+  fastify.after(async () => {
+    // The site answering a request, by host name and path prefix
+    fastify.decorateRequest('site', null);
+    fastify.decorateRequest('page', null);
+    fastify.addHook('onRequest', (request, reply, done) => {
+      request.site = resolveSite(request);
+      done();
+    });
+
+    // Auth rules run first so nothing behind a protected prefix or site is served without credentials.
+    // auth.json rules win over a site's own auth; CORS preflights never need credentials for a site
+    fastify.decorateRequest('auth', null);
+    fastify.addHook('onRequest', (request, reply, done) => {
+      const rule = authenticator.ruleFor(request) || (request.method !== 'OPTIONS' ? request.site.auth : null);
+      if (!rule) {
+        done();
+        return;
+      }
+
+      const result = authenticator.authenticate(request, rule);
+      if (result.ok) {
+        request.auth = result.identity;
+        done();
+        return;
+      }
+      rejectAuth(request, reply, result, rule.methods, rule.realm);
+    });
+
+    // Caller hooks - after auth, so request.auth is already set
+    Object.keys(options.hooks || {}).forEach(name => {
+      [].concat(options.hooks[name]).forEach(hook => fastify.addHook(name, hook));
+    });
+
+    // Request metrics are collected by hooks, so they are set up before any route
+    const requestMetrics = metricsEnabled ? metrics.registerMetrics(fastify, pageStats) : null;
+
+    // Admin dashboard - registered before the other routes so it lists all of them
+    let liveReloadChannel = null;
+    const dashboard = adminSettings.enabled ? admin.registerAdmin(fastify, adminSettings, {
+      checkAccess: (request, reply) => checkAccess(request, reply, 'admin', ['basic', 'apiKey', 'bearer']),
+      describe: () => ({ name: serverName, pages: pageSizes(), staticCache: staticCache.stats() }),
+      reload: () => {
+        const loadedCount = allSites.reduce((total, site) => total + load(`Could not reload site "${site.name}"`, () => site.load()), 0);
+        print(`🔄 Reloaded ${loadedCount} HTML files from the admin dashboard`);
+        if (liveReloadChannel) liveReloadChannel.reload();
+        return `Reloaded ${loadedCount} pages`;
+      }
+    }) : null;
+
+    // Pre-compiled responses for maximum speed
+    const helloWorldResponse = 'Hello World!';
+
+    // Ultra-fast JSON API endpoint
+    fastify.get('/helloworld', (request, reply) => {
+      reply.header('content-type', 'text/plain; charset=utf-8');
+      reply.send(helloWorldResponse);
+    });
+
+    // Dynamic HTML endpoint - pages (including nested ones) are looked up per request so
+    // reloaded files are served without re-registering routes (static routes always win).
+    // Path-prefix sites serve their pages and assets below their prefix here too, and
+    // anything that isn't a page falls through to the site's static files
+    const servePath = (request, reply) => {
+      const site = request.site;
+      const pagePath = request.params['*'].slice(Math.max(site.prefix.length - 1, 0)).replace(/^\/+/, '');
+
+      if (site.prefix && (pagePath === 'assets' || pagePath.startsWith('assets/'))) {
+        site.sendAsset(request, reply, pagePath.slice('assets/'.length));
+        return;
+      }
+
+      const routeName = site.find(pagePath);
+      if (routeName) {
+        site.sendPage(request, reply, routeName);
+        return;
+      }
+
+      if (staticSettings.enabled) {
+        site.sendFile(request, reply, pagePath);
+        return;
+      }
+      reply.callNotFound();
+    };
+
+    // Assets of the default site and host-name sites
+    const serveAsset = (request, reply) => {
+      request.site.sendAsset(request, reply, request.params['*']);
+    };
+
+    plugins.fileRouteOptions(pluginSettings).forEach(routeOptions => {
+      fastify.get('/*', routeOptions, servePath);
+      fastify.get('/assets/*', routeOptions, serveAsset);
+    });
+
+    // Live reload - re-read a site's folder on change and refresh connected browsers
+    if (liveReloadEnabled) {
+      liveReloadChannel = liveReload.registerLiveReload(fastify);
+      const watchers = allSites.map(site => liveReload.watchDirectory(site.dir, () => {
+        try {
+          const loadedCount = site.load();
+          print(`🔄 Reloaded ${loadedCount} HTML files${site === mainSite ? '' : ` of site ${site.name}`}`);
+          liveReloadChannel.reload();
+        } catch (err) {
+          // Keep serving the previous pages until the folder is valid again
+          console.error('⚠️  Live reload failed:', err.message);
+        }
+      }));
+      fastify.addHook('onClose', (instance, done) => {
+        watchers.forEach(watcher => watcher.close());
+        done();
+      });
+    }
+
+    // Backward compatibility endpoint
+    fastify.get('/helloworld-heavy', (request, reply) => {
+      const routeName = mainSite.find('helloworld');
+      if (!routeName) {
+        reply.header('content-type', 'text/html; charset=utf-8');
+        reply.send('HTML file not found');
+        return;
+      }
+
+      mainSite.sendPage(request, reply, routeName);
+    });
+
+    // Errors are negotiated: error pages for browsers, problem+json for JSON clients, plain text otherwise
+    fastify.setNotFoundHandler((request, reply) => {
+      const fallback = request.site === mainSite ? spaRoute(request) : null;
+      const routeName = fallback && mainSite.find(fallback);
+      if (routeName) {
+        mainSite.sendPage(request, reply, routeName);
+        return;
+      }
+
+      errorResponder.send(request, reply, 404);
+    });
+
+    fastify.setErrorHandler((error, request, reply) => {
+      const statusCode = error.statusCode >= 400 ? error.statusCode : 500;
+      if (statusCode >= 500) {
+        request.log.error(error);
+      }
+      if (dashboard) {
+        dashboard.recordError(error, request, statusCode);
+      }
+      errorResponder.send(request, reply, statusCode, error);
+    });
+
+    // API key protected health check endpoint
+    fastify.get('/health', plugins.healthRouteOptions(pluginSettings), (request, reply) => {
+      if (!checkAccess(request, reply, 'health')) {
+        return;
+      }
+
+      // Convert memory from bytes to MB for readability
+      const memoryUsage = process.memoryUsage();
+      const memoryInMB = {
+        rss: Math.round(memoryUsage.rss / 1024 / 1024 * 100) / 100 + ' MB',
+        heapTotal: Math.round(memoryUsage.heapTotal / 1024 / 1024 * 100) / 100 + ' MB',
+        heapUsed: Math.round(memoryUsage.heapUsed / 1024 / 1024 * 100) / 100 + ' MB',
+        external: Math.round(memoryUsage.external / 1024 / 1024 * 100) / 100 + ' MB'
+      };
+
+      // Format uptime with units
+      const uptimeSeconds = process.uptime();
+      let formattedUptime;
+      if (uptimeSeconds < 60) {
+        formattedUptime = Math.round(uptimeSeconds * 100) / 100 + ' seconds';
+      } else if (uptimeSeconds < 3600) {
+        const minutes = Math.floor(uptimeSeconds / 60);
+        const seconds = Math.round(uptimeSeconds % 60);
+        formattedUptime = `${minutes} min ${seconds} sec`;
+      } else if (uptimeSeconds < 86400) {
+        const hours = Math.floor(uptimeSeconds / 3600);
+        const minutes = Math.floor((uptimeSeconds % 3600) / 60);
+        formattedUptime = `${hours} hr ${minutes} min`;
+      } else {
+        const days = Math.floor(uptimeSeconds / 86400);
+        const hours = Math.floor((uptimeSeconds % 86400) / 3600);
+        formattedUptime = `${days} days ${hours} hr`;
+      }
+
+      reply.header('content-type', 'application/json; charset=utf-8');
+      reply.send({
+        status: 'healthy',
+        uptime: formattedUptime,
+        memory: memoryInMB,
+        loadedHtmlFiles: pageStats().count,
+        ...healthExtras()
+      });
+    });
+
+    // Machine-readable probes for orchestrators and load balancers - raw numbers, no formatting
+    const probesRequireKey = env.HEALTH_PROBES_REQUIRE_KEY === 'true';
+
+    fastify.get('/health/live', plugins.healthRouteOptions(pluginSettings), (request, reply) => {
+      if (probesRequireKey && !checkAccess(request, reply, 'health')) {
+        return;
+      }
+
+      reply.header('cache-control', 'no-store');
+      reply.send({
+        status: 'pass',
+        uptimeSeconds: process.uptime()
+      });
+    });
+
+    fastify.get('/health/ready', plugins.healthRouteOptions(pluginSettings), async (request, reply) => {
+      if (probesRequireKey && !checkAccess(request, reply, 'health')) {
+        return reply;
+      }
+
+      const result = await healthChecks.run();
+      const memoryUsage = process.memoryUsage();
+
+      reply.code(result.status === 'fail' ? 503 : 200);
+      reply.header('cache-control', 'no-store');
+      return {
+        status: result.status,
+        pid: process.pid,
+        uptimeSeconds: process.uptime(),
+        memoryBytes: {
+          rss: memoryUsage.rss,
+          heapTotal: memoryUsage.heapTotal,
+          heapUsed: memoryUsage.heapUsed,
+          external: memoryUsage.external
+        },
+        cpuMicroseconds: process.cpuUsage(),
+        loadedHtmlFiles: pageStats().count,
+        checks: result.checks
+      };
+    });
+
+    fastify.addHook('onClose', (instance, done) => {
+      eventLoopCheck.stop();
+      done();
+    });
+
+    // Prometheus scrape endpoint - same API key protection as /health
+    if (requestMetrics) {
+      fastify.get('/metrics', (request, reply) => {
+        if (!checkAccess(request, reply, 'metrics')) {
+          return;
+        }
+
+        reply.header('content-type', 'text/plain; version=0.0.4; charset=utf-8');
+        reply.send(requestMetrics.render());
+      });
+    }
+
+    // Root endpoint - serve the site's index.html if exists, otherwise show available files
+    fastify.get('/', (request, reply) => {
+      // If index.html exists, serve it at root - unless the client asks for the JSON route listing
+      // (the benchmark discovers routes this way)
+      const wantsListing = errors.negotiateFormat(request.headers.accept) === 'application/json';
+      const indexRoute = request.site.find('');
+      if (indexRoute) {
+        const vary = reply.getHeader('vary');
+        reply.header('vary', vary ? `${vary}, accept` : 'accept');
+      }
+      if (indexRoute && !wantsListing) {
+        request.site.sendPage(request, reply, indexRoute);
+        return;
+      }
+
+      // Otherwise show the HTML files of the site that was asked (docs.localhost/ lists the docs site) and the endpoints
+      const htmlRoutes = request.site.routes();
+      const apiEndpoints = [...new Set([
+        '/helloworld',
+        '/health',
+        '/health/live',
+        '/health/ready',
+        ...(requestMetrics ? ['/metrics'] : []),
+        ...(dashboard ? [admin.ADMIN_PATH] : []),
+        ...mockResources.map(resource => `/${resource.name}`),
+        ...customApiRoutes.map(route => route.path),
+        ...(options.routes || []).map(route => route.url || route.path),
+        ...proxyRules.map(rule => `${rule.prefix}/*`)
+      ])];
+
+      reply.header('content-type', 'application/json; charset=utf-8');
+      reply.send({
+        server: serverName,
+        htmlPages: htmlRoutes,
+        apiEndpoints,
+        staticAssets: '/assets/*',
+        ...(extraSites.length > 0 ? {
+          sites: extraSites.map(site => ({
+            name: site.name,
+            hosts: site.hosts,
+            path: site.prefix || '/',
+            htmlPages: site.routes(),
+            staticAssets: `${site.prefix}/assets/*`
+          }))
+        } : {}),
+        author: 'Warden Fox'
+      });
+    });
+
+    // Mock REST resources, custom API routes and caller routes - registered last so clashes
+    // with built-in routes are reported
+    load('Could not register mock data routes', () => mockData.registerMockResources(fastify, mockResources, {
+      persist: env.MOCK_DATA_PERSIST === 'true'
+    }));
+
+    load('Could not register API routes', () => apiRoutes.registerApiRoutes(fastify, customApiRoutes));
+
+    load('Could not register extra routes', () => {
+      (options.routes || []).forEach(route => fastify.route(route));
+    });
+
+    // Reverse proxy - more specific than the page wildcard, while local routes still win
+    proxy.registerProxy(fastify, proxyRules, { authorizeUpgrade });
+  });
+
+  return fastify;
+}
+
+module.exports = {
+  createServer
+};
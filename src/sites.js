@@ -0,0 +1,384 @@
+// Sites - several page folders served by one process, mounted by host name (marketing.localhost)
+// and/or path prefix (/docs). Each site keeps its own in-memory pages, assets, index and error pages
+const fs = require('fs');
+const path = require('path');
+const pages = require('./pages');
+const caching = require('./caching');
+const plugins = require('./plugins');
+const liveReload = require('./live-reload');
+const admin = require('./admin');
+const auth = require('./auth');
+const staticFiles = require('./static-files');
+
+const projectDir = path.resolve(__dirname, '..');
+const IMMUTABLE = 'public, max-age=31536000, immutable'; // 1 year cache for static assets
+
+// Paths the server itself answers on every host
+const RESERVED_PREFIXES = ['/assets', '/health', '/metrics', '/helloworld', liveReload.LIVE_RELOAD_PATH, admin.ADMIN_PATH];
+
+const HOST_PATTERN = /^(\*\.)?[a-z0-9]([a-z0-9\-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9\-]*[a-z0-9])?)*$/;
+
+// true, or { auth: [methods], scopes: [...], realm } - credentials come from auth.json
+function normalizeSiteAuth(value, source, name) {
+  if (value === undefined || value === false) return null;
+  const options = value === true ? {} : value;
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error(`${source}: auth must be true or an object like { "auth": ["basic"], "scopes": ["preview"] }`);
+  }
+
+  const methods = options.auth === undefined ? auth.METHODS : [].concat(options.auth);
+  methods.forEach(method => {
+    if (!auth.METHODS.includes(method)) {
+      throw new Error(`${source}: auth.auth must be one or more of: ${auth.METHODS.join(', ')}`);
+    }
+  });
+
+  const scopes = options.scopes === undefined ? [] : options.scopes;
+  if (!Array.isArray(scopes) || scopes.some(scope => typeof scope !== 'string' || !scope)) {
+    throw new Error(`${source}: auth.scopes must be an array of scope names`);
+  }
+
+  return {
+    methods,
+    scopes,
+    realm: typeof options.realm === 'string' && options.realm ? options.realm.replace(/"/g, '') : name
+  };
+}
+
+// Check one site from the sites config file and normalize it
+function normalizeSite(definition, index) {
+  const source = `Site ${index + 1}`;
+
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new Error(`${source}: must be an object`);
+  }
+  if (typeof definition.dir !== 'string' || !definition.dir) {
+    throw new Error(`${source}: dir must be the site's folder, e.g. "sites/docs"`);
+  }
+
+  const hosts = definition.host === undefined ? null : [].concat(definition.host).map(host => String(host).toLowerCase());
+  if (hosts && (hosts.length === 0 || hosts.some(host => !HOST_PATTERN.test(host)))) {
+    throw new Error(`${source}: host must be a host name like "marketing.localhost" or "*.preview.localhost" (or a list of them)`);
+  }
+
+  let prefix = '';
+  if (definition.path !== undefined) {
+    if (typeof definition.path !== 'string' || !/^\/[\w\-.]+(\/[\w\-.]+)*\/?$/.test(definition.path)) {
+      throw new Error(`${source}: path must be a prefix below "/" like "/docs"`);
+    }
+    prefix = definition.path.replace(/\/+$/, '').toLowerCase();
+    const reserved = RESERVED_PREFIXES.find(owned => prefix === owned || prefix.startsWith(`${owned}/`));
+    if (reserved) {
+      throw new Error(`${source}: path ${definition.path} is used by the server (${reserved})`);
+    }
+  }
+
+  if (!hosts && !prefix) {
+    throw new Error(`${source}: needs a host, a path or both - the default site is PUBLIC_DIR`);
+  }
+
+  const name = definition.name === undefined ? path.basename(definition.dir) : definition.name;
+  if (typeof name !== 'string' || !/^[\w\-.]+$/.test(name)) {
+    throw new Error(`${source}: name may only contain letters, digits, "_", "-" and "."`);
+  }
+
+  return {
+    name,
+    dir: path.resolve(projectDir, definition.dir),
+    dirName: definition.dir,
+    hosts,
+    prefix,
+    auth: normalizeSiteAuth(definition.auth, source, name)
+  };
+}
+
+// Load site definitions from a JSON file - a missing file means PUBLIC_DIR is the only site
+function loadSites(configFile) {
+  if (!fs.existsSync(configFile)) {
+    return [];
+  }
+
+  let definitions;
+  try {
+    definitions = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+  } catch (err) {
+    throw new Error(`${configFile}: ${err.message}`);
+  }
+
+  if (!Array.isArray(definitions)) {
+    throw new Error(`${configFile}: must contain a JSON array of sites`);
+  }
+
+  const sites = definitions.map(normalizeSite);
+  const names = new Set();
+  const mounts = new Set();
+  sites.forEach(site => {
+    if (names.has(site.name)) {
+      throw new Error(`Two sites are named "${site.name}" - give one a different "name"`);
+    }
+    names.add(site.name);
+
+    (site.hosts || ['*']).forEach(host => {
+      const mount = `${host}${site.prefix}`;
+      if (mounts.has(mount)) {
+        throw new Error(`Site "${site.name}": ${mount} is already mounted by another site`);
+      }
+      mounts.add(mount);
+    });
+  });
+
+  return sites;
+}
+
+// Template variables of a site's pages: the shared ones plus {{SITE_NAME}} and {{SITE_PATH}}
+function siteVariables(definition, templateVariables) {
+  return { ...templateVariables, SITE_NAME: definition.name, SITE_PATH: definition.prefix };
+}
+
+// In-memory pages, static files, asset root and error pages of one site.
+// settings: templateVariables, fingerprint, liveReload, pluginSettings, pageCacheRules, pageCacheControl,
+// staticFiles ({ listing, cache })
+function createSite(definition, settings) {
+  const assetsDir = path.join(definition.dir, 'assets');
+  const staticRoot = staticFiles.createStaticRoot(definition.dir, {
+    listing: settings.staticFiles.listing,
+    cache: settings.staticFiles.cache,
+    urlPrefix: definition.prefix
+  });
+
+  let htmlFiles = {};
+  let errorPages = Object.create(null);
+  let pageInfo = {};
+  let pageIndex = Object.create(null);
+
+  // Fingerprinted asset names (original → hashed) and the reverse lookup used to serve them
+  let assetManifest = {};
+  let fingerprintedAssets = Object.create(null);
+
+  function loadAssetManifest() {
+    if (!settings.fingerprint) return;
+
+    assetManifest = caching.buildAssetManifest(assetsDir);
+    fingerprintedAssets = Object.create(null);
+    Object.keys(assetManifest).forEach(file => {
+      fingerprintedAssets[assetManifest[file]] = file;
+    });
+  }
+
+  // Load the site folder's pages and prepare them for serving - variables are read on every load,
+  // so a reload picks up {{PORT}} once the server knows the port it is bound to
+  function loadHtmlFiles() {
+    const loaded = pages.loadPages(definition.dir, siteVariables(definition, settings.templateVariables));
+
+    Object.keys(loaded).forEach(route => {
+      if (settings.fingerprint) {
+        loaded[route].content = caching.rewriteAssetUrls(loaded[route].content, assetManifest);
+      }
+      if (settings.liveReload) {
+        loaded[route].content = liveReload.injectClient(loaded[route].content);
+      }
+    });
+
+    return loaded;
+  }
+
+  // Swap in a freshly loaded page set (routes are case-insensitive)
+  function setHtmlFiles(loaded) {
+    const files = {};
+    const info = {};
+    const errors = Object.create(null);
+    Object.keys(loaded).forEach(route => {
+      const { content, modified } = loaded[route];
+      if (pages.isErrorPage(route)) {
+        errors[route.toLowerCase()] = content;
+        return;
+      }
+
+      const compressed = settings.pluginSettings.compression
+        ? plugins.precompress(content, settings.pluginSettings.compressionThreshold)
+        : null;
+
+      files[route] = content;
+      info[route] = {
+        compressed,
+        cacheControl: caching.cacheControlFor(settings.pageCacheRules, `${definition.prefix}/${route}`, settings.pageCacheControl),
+        ...caching.pageValidators(content, modified, compressed ? Object.keys(compressed) : [])
+      };
+    });
+
+    htmlFiles = files;
+    pageInfo = info;
+    errorPages = errors;
+    pageIndex = Object.create(null);
+    Object.keys(files).forEach(route => {
+      pageIndex[route.toLowerCase()] = route;
+    });
+  }
+
+  // (Re)load pages and asset fingerprints - throws and keeps the previous pages when the folder is invalid
+  function load() {
+    staticRoot.clear();
+    loadAssetManifest();
+    const loaded = loadHtmlFiles();
+    const loadedCount = Object.keys(loaded).filter(route => !pages.isErrorPage(route)).length;
+
+    if (loadedCount === 0) {
+      throw new Error(`No valid HTML files found in ${definition.dirName} folder`);
+    }
+
+    setHtmlFiles(loaded);
+    return loadedCount;
+  }
+
+  // Route name for a page path relative to the site ("docs/intro", "" for the index), or undefined
+  function find(pagePath) {
+    return pageIndex[(pagePath.replace(/\/+$/, '') || 'index').toLowerCase()];
+  }
+
+  // Send a cached page with validators, answering conditional requests with 304
+  // and using a pre-compressed variant when the client accepts one
+  function sendPage(request, reply, routeName) {
+    const info = pageInfo[routeName];
+    let encoding = null;
+    // The page's public route labels the request in metrics - one value per loaded page
+    request.page = `${definition.prefix}/${routeName}`;
+
+    if (info.compressed) {
+      const vary = reply.getHeader('vary');
+      reply.header('vary', vary ? `${vary}, accept-encoding` : 'accept-encoding');
+      encoding = plugins.negotiateEncoding(request.headers['accept-encoding']);
+    }
+
+    reply.header('cache-control', info.cacheControl);
+    reply.header('etag', info.etags[encoding || 'identity']);
+    reply.header('last-modified', info.lastModified);
+
+    if (caching.isNotModified(request.headers, info)) {
+      reply.code(304);
+      reply.send();
+      return;
+    }
+
+    reply.header('content-type', 'text/html; charset=utf-8');
+    if (encoding) {
+      reply.header('content-encoding', encoding);
+      reply.send(info.compressed[encoding]);
+      return;
+    }
+
+    reply.send(htmlFiles[routeName]);
+  }
+
+  // Send a static file (anything but a page) and answer 404 when there is none
+  function serveFile(request, reply, file, cacheControl) {
+    staticRoot.sendFile(request, reply, file, cacheControl).then(found => {
+      if (!found) reply.callNotFound();
+    }, err => reply.send(err));
+  }
+
+  // Files below the site folder that aren't pages (favicon.ico, robots.txt, fonts, media),
+  // cached like pages (PAGE_CACHE_CONTROL / PAGE_CACHE_RULES)
+  function sendFile(request, reply, file) {
+    const cacheControl = caching.cacheControlFor(settings.pageCacheRules, `${definition.prefix}/${file}`, settings.pageCacheControl);
+    serveFile(request, reply, file, cacheControl);
+  }
+
+  // Fingerprinted assets get the immutable one-year cache; with fingerprinting on, plain URLs must revalidate
+  function sendAsset(request, reply, file) {
+    if (!settings.fingerprint) {
+      serveFile(request, reply, `assets/${file}`, IMMUTABLE);
+      return;
+    }
+
+    const original = fingerprintedAssets[file];
+    if (original) {
+      serveFile(request, reply, `assets/${original}`, IMMUTABLE);
+      return;
+    }
+    serveFile(request, reply, `assets/${file}`, 'public, max-age=0');
+  }
+
+  // Error pages from the site folder: <status>.html first, then 4xx.html / 5xx.html
+  function errorPage(statusCode) {
+    return errorPages[String(statusCode)] || errorPages[`${String(statusCode)[0]}xx`] || null;
+  }
+
+  // Public URL and size of every page held in memory
+  function pageSizes() {
+    return Object.keys(htmlFiles).map(route => ({
+      url: `${definition.prefix}/${route}`,
+      bytes: Buffer.byteLength(htmlFiles[route])
+    }));
+  }
+
+  // Count and total size of the pages held in memory
+  function stats() {
+    const sizes = pageSizes();
+    return {
+      count: sizes.length,
+      bytes: sizes.reduce((total, page) => total + page.bytes, 0)
+    };
+  }
+
+  // Public URLs of the site's pages, e.g. /docs/intro
+  function routes() {
+    return Object.keys(htmlFiles).map(route => `${definition.prefix}/${route}`);
+  }
+
+  return {
+    ...definition,
+    assetsDir,
+    load,
+    find,
+    sendPage,
+    sendFile,
+    sendAsset,
+    errorPage,
+    pageSizes,
+    stats,
+    routes
+  };
+}
+
+// Host name of a request without the port (handles [::1]:3000)
+function requestHost(request) {
+  const host = (request.hostname || '').toLowerCase();
+  if (host.startsWith('[')) return host.slice(0, host.indexOf(']') + 1);
+  return host.replace(/:\d+$/, '');
+}
+
+function hostMatches(hosts, host) {
+  return hosts.some(pattern => (pattern.startsWith('*.') ? host.endsWith(pattern.slice(1)) : host === pattern));
+}
+
+// Which site serves a request: host-bound sites before any-host ones, longer prefixes first,
+// and the default site (PUBLIC_DIR) when nothing matches
+function createSiteResolver(sites, defaultSite) {
+  if (sites.length === 0) return () => defaultSite;
+
+  const ordered = [...sites].sort((a, b) => (Boolean(b.hosts) - Boolean(a.hosts)) || (b.prefix.length - a.prefix.length));
+
+  return function resolveSite(request) {
+    const host = requestHost(request);
+    const pathname = auth.requestPath(request.url);
+
+    return ordered.find(site => {
+      if (site.hosts && !hostMatches(site.hosts, host)) return false;
+      return site.prefix === '' || pathname === site.prefix || pathname.startsWith(`${site.prefix}/`);
+    }) || defaultSite;
+  };
+}
+
+// Example URL of a site for the dashboard, e.g. http://marketing.localhost:3000/
+function siteUrl(site, protocol, port) {
+  const host = site.hosts ? site.hosts[0].replace(/^\*\./, 'any.') : 'localhost';
+  return `${protocol}://${host}:${port}${site.prefix}/`;
+}
+
+module.exports = {
+  loadSites,
+  siteVariables,
+  createSite,
+  createSiteResolver,
+  siteUrl
+};
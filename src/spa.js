@@ -0,0 +1,61 @@
+// SPA fallback - serves a single-page app's HTML for unknown deep links (/app/settings → app.html)
+// so client-side (history API) routing works on reload
+const errors = require('./errors');
+
+// SPA_FALLBACK: "true" serves index.html for every unknown page, or mount points separated by |
+// such as "/app/*=app.html | /admin/*=admin/index.html | /*=index.html" - the first match wins
+function parseSpaRules(value) {
+  if (!value || value === 'false') return [];
+  if (value === 'true') return [{ prefix: '', route: 'index' }];
+
+  return value.split('|').map(rule => rule.trim()).filter(Boolean).map(rule => {
+    const separator = rule.indexOf('=');
+    const pattern = separator === -1 ? '' : rule.slice(0, separator).trim();
+    const file = separator === -1 ? '' : rule.slice(separator + 1).trim();
+
+    if (!/^\/([\w\-]+\/)*\*$/.test(pattern) || !/^[\w\-]+(\/[\w\-]+)*(\.html)?$/.test(file)) {
+      throw new Error(`Invalid SPA fallback rule "${rule}" - expected "/<mount>/*=<page>.html"`);
+    }
+
+    // Same file → route mapping as the page loader: admin/index.html → admin
+    let route = file.replace(/\.html$/, '');
+    if (route.endsWith('/index')) route = route.slice(0, -'/index'.length);
+
+    return { prefix: pattern.slice(0, -2).toLowerCase(), route };
+  });
+}
+
+// Does a path fall under a prefix? /app matches /app and /app/x but not /apps
+function underPrefix(pathname, prefix) {
+  return pathname === prefix || pathname.startsWith(`${prefix}/`);
+}
+
+// Decide which page (if any) answers an unmatched request. excludedPrefixes lists paths owned by
+// the server itself (assets, APIs, health...) that must keep their 404s.
+function createSpaFallback(rules, excludedPrefixes) {
+  const excluded = excludedPrefixes.map(prefix => prefix.replace(/\/+$/, '').toLowerCase()).filter(Boolean);
+
+  return function spaRoute(request) {
+    if (rules.length === 0) return null;
+    if (request.method !== 'GET' && request.method !== 'HEAD') return null;
+
+    // Only browser navigations - fetch()/XHR calls for missing resources keep getting 404s
+    if (errors.negotiateFormat(request.headers.accept) !== 'text/html') return null;
+
+    const pathname = request.url.split('?')[0].replace(/\/+$/, '').toLowerCase();
+
+    // Missing files (/logo.png, /app/main.js) are real 404s, not app routes
+    const lastSegment = pathname.slice(pathname.lastIndexOf('/') + 1);
+    if (lastSegment.includes('.')) return null;
+
+    if (excluded.some(prefix => underPrefix(pathname, prefix))) return null;
+
+    const rule = rules.find(candidate => !candidate.prefix || underPrefix(pathname, candidate.prefix));
+    return rule ? rule.route : null;
+  };
+}
+
+module.exports = {
+  parseSpaRules,
+  createSpaFallback
+};
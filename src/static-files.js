@@ -0,0 +1,327 @@
+// Static files - everything in a site folder that isn't a page (favicon.ico, robots.txt, fonts, media)
+// with MIME types, conditional and byte-range requests and optional directory listings.
+// Small files are kept in a size-bounded in-memory cache shared by all sites, large ones stream from disk
+const fs = require('fs');
+const path = require('path');
+const send = require('@fastify/send');
+const caching = require('./caching');
+const templates = require('./templates');
+const pages = require('./pages');
+const logging = require('./logging');
+const errors = require('./errors');
+
+function readSettings(env = process.env) {
+  return {
+    enabled: env.STATIC_FILES !== 'false',
+    listing: env.STATIC_DIRECTORY_LISTING === 'true',
+    cacheSize: logging.parseSize(env.STATIC_CACHE_SIZE || '32m', 'STATIC_CACHE_SIZE'),
+    maxFileSize: logging.parseSize(env.STATIC_CACHE_MAX_FILE_SIZE || '1m', 'STATIC_CACHE_MAX_FILE_SIZE')
+  };
+}
+
+// Least recently used files are dropped once the cached bytes exceed maxBytes
+function createFileCache(maxBytes, maxFileSize) {
+  const entries = new Map();
+  let bytes = 0;
+
+  function remove(file) {
+    const entry = entries.get(file);
+    if (!entry) return;
+    entries.delete(file);
+    bytes -= entry.size;
+  }
+
+  return {
+    fits: size => size <= maxFileSize && size <= maxBytes,
+
+    get(file) {
+      const entry = entries.get(file);
+      if (entry) {
+        // Map order is the LRU order - move the hit to the end
+        entries.delete(file);
+        entries.set(file, entry);
+      }
+      return entry;
+    },
+
+    set(file, entry) {
+      remove(file);
+      entries.set(file, entry);
+      bytes += entry.size;
+      for (const [oldest] of entries) {
+        if (bytes <= maxBytes) break;
+        remove(oldest);
+      }
+    },
+
+    delete: remove,
+
+    // Forget every file below dir (after live reload noticed a change there)
+    clear(dir) {
+      [...entries.keys()].filter(file => file.startsWith(dir + path.sep)).forEach(remove);
+    },
+
+    stats: () => ({ files: entries.size, bytes, maxBytes })
+  };
+}
+
+// Relative URL path → path segments, or null when the file must never be served: dotfiles and
+// dotfolders (.env, .git), templates and HTML outside assets/ (pages are only served rendered, from memory)
+function safeSegments(relativePath) {
+  const segments = relativePath.split('/').filter(Boolean);
+  const unsafe = segments.some(segment => segment.startsWith('.') || /[\\\0]/.test(segment));
+  if (unsafe || (segments.length > 0 && templates.TEMPLATE_DIRS.includes(segments[0]))) {
+    return null;
+  }
+  if (segments.length > 0 && segments[0] !== 'assets' && /\.html?$/i.test(segments[segments.length - 1])) {
+    return null;
+  }
+  return segments;
+}
+
+function contentType(file) {
+  const type = send.mime.getType(file) || 'application/octet-stream';
+  return send.isUtf8MimeType(type) ? `${type}; charset=utf-8` : type;
+}
+
+// A single "bytes=start-end" range: { start, end }, 'unsatisfiable', or null to send the whole file.
+// Multiple ranges and malformed headers get the whole file, which RFC 9110 allows
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    start = Math.max(size - parseInt(match[2]), 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2]), size - 1);
+  }
+
+  if (start > end || start >= size) return 'unsatisfiable';
+  return { start, end };
+}
+
+// If-Range: only honour Range while the client's copy is still current
+function rangeApplies(headers, entry) {
+  const ifRange = headers['if-range'];
+  if (ifRange === undefined) return true;
+  return ifRange.trim() === entry.etags.identity || ifRange.trim() === entry.lastModified;
+}
+
+function escapeHtml(value) {
+  return value.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+function formatSize(size) {
+  if (size < 1024) return `${size} B`;
+  if (size < 1024 * 1024) return `${Math.round(size / 1024 * 10) / 10} KB`;
+  return `${Math.round(size / 1024 / 1024 * 10) / 10} MB`;
+}
+
+// Listing entries of a folder - hidden files, templates and layouts are left out, pages link to their route
+async function listEntries(dir, segments, urlPrefix) {
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  const listed = [];
+
+  for (const entry of entries) {
+    if (entry.name.startsWith('.')) continue;
+    if (segments.length === 0 && templates.TEMPLATE_DIRS.includes(entry.name)) continue;
+
+    const relative = [...segments, entry.name].map(encodeURIComponent).join('/');
+    if (entry.isDirectory()) {
+      listed.push({ name: `${entry.name}/`, url: `${urlPrefix}/${relative}/`, type: 'directory' });
+    } else if (entry.isFile()) {
+      const stats = await fs.promises.stat(path.join(dir, entry.name));
+      const isPage = segments[0] !== 'assets' && /\.html$/.test(entry.name);
+      listed.push({
+        name: entry.name,
+        url: `${urlPrefix}/${isPage ? pages.toRouteName(relative) : relative}`,
+        type: isPage ? 'page' : 'file',
+        size: stats.size
+      });
+    }
+  }
+
+  return listed.sort((a, b) => ((a.type === 'directory') === (b.type === 'directory')
+    ? a.name.localeCompare(b.name)
+    : a.type === 'directory' ? -1 : 1));
+}
+
+function listingPage(title, entries) {
+  const rows = entries.map(entry => {
+    const size = entry.size === undefined ? '' : formatSize(entry.size);
+    return `<tr><td><a href="${escapeHtml(entry.url)}">${escapeHtml(entry.name)}</a></td><td>${size}</td></tr>`;
+  });
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>Index of ${escapeHtml(title)}</title>
+</head>
+<body>
+    <h1>Index of ${escapeHtml(title)}</h1>
+    <table>
+        ${rows.join('\n        ')}
+    </table>
+</body>
+</html>
+`;
+}
+
+// Static file serving for one folder. settings: listing, cache (createFileCache), urlPrefix
+function createStaticRoot(root, settings) {
+  let realRoot = null;
+
+  // Resolve symlinks so a link can't point outside the folder - null when the file isn't there
+  async function resolve(segments) {
+    try {
+      realRoot = realRoot || await fs.promises.realpath(root);
+      const file = await fs.promises.realpath(path.join(root, ...segments));
+      if (file !== realRoot && !file.startsWith(realRoot + path.sep)) return null;
+      return { file, stats: await fs.promises.stat(file) };
+    } catch (err) {
+      if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return null;
+      throw err;
+    }
+  }
+
+  // Cached copies are checked against the file on every hit - live reload may be off, so an
+  // edited file must not keep being served from memory
+  function unchanged(stats, entry) {
+    return stats.mtimeMs === entry.mtime && stats.size === entry.size;
+  }
+
+  function sendCached(request, reply, entry, cacheControl) {
+    reply.header('cache-control', cacheControl);
+    reply.header('etag', entry.etags.identity);
+    reply.header('last-modified', entry.lastModified);
+    reply.header('accept-ranges', 'bytes');
+
+    if (caching.isNotModified(request.headers, entry)) {
+      reply.code(304);
+      reply.send();
+      return;
+    }
+
+    reply.header('content-type', entry.type);
+    const range = request.headers.range && rangeApplies(request.headers, entry)
+      ? parseRange(request.headers.range, entry.size)
+      : null;
+
+    if (range === 'unsatisfiable') {
+      reply.code(416);
+      reply.header('content-range', `bytes */${entry.size}`);
+      reply.send();
+      return;
+    }
+    if (range) {
+      reply.code(206);
+      reply.header('content-range', `bytes ${range.start}-${range.end}/${entry.size}`);
+      reply.send(entry.body.subarray(range.start, range.end + 1));
+      return;
+    }
+
+    reply.send(entry.body);
+  }
+
+  async function sendListing(request, reply, dir, segments) {
+    const entries = await listEntries(dir, segments, settings.urlPrefix);
+    const title = `${settings.urlPrefix}/${segments.map(segment => `${segment}/`).join('')}`;
+
+    reply.header('cache-control', 'no-cache');
+    const vary = reply.getHeader('vary');
+    reply.header('vary', vary ? `${vary}, accept` : 'accept');
+    if (errors.negotiateFormat(request.headers.accept) === 'application/json') {
+      reply.header('content-type', 'application/json; charset=utf-8');
+      reply.send({ path: title, entries });
+      return;
+    }
+    reply.header('content-type', 'text/html; charset=utf-8');
+    reply.send(listingPage(title, entries));
+  }
+
+  // Send the file at relativePath ("robots.txt", "fonts/inter.woff2") - resolves to false when
+  // there is nothing to serve, so the caller can answer with its 404
+  async function sendFile(request, reply, relativePath, cacheControl) {
+    const segments = safeSegments(relativePath);
+    if (!segments) return false;
+
+    // Looked up by the resolved real path, after the containment check - a symlink swapped to
+    // point outside the folder is refused even when its old target is still cached
+    const found = await resolve(segments);
+    if (!found) return false;
+
+    const cached = settings.cache.get(found.file);
+    if (cached) {
+      if (found.stats.isFile() && unchanged(found.stats, cached)) {
+        sendCached(request, reply, cached, cacheControl);
+        return true;
+      }
+      settings.cache.delete(found.file);
+    }
+
+    if (found.stats.isDirectory()) {
+      if (!settings.listing) return false;
+      await sendListing(request, reply, found.file, segments);
+      return true;
+    }
+    if (!found.stats.isFile()) return false;
+
+    if (settings.cache.fits(found.stats.size)) {
+      const body = await fs.promises.readFile(found.file);
+      const entry = {
+        body,
+        size: body.length,
+        type: contentType(found.file),
+        mtime: found.stats.mtimeMs,
+        ...caching.pageValidators(body, found.stats.mtime, [])
+      };
+      settings.cache.set(found.file, entry);
+      sendCached(request, reply, entry, cacheControl);
+      return true;
+    }
+
+    // Too big for the cache - streamed by @fastify/static, which handles ranges the same way
+    reply.header('cache-control', cacheControl);
+    reply.sendFile(path.relative(realRoot, found.file), realRoot, { cacheControl: false, dotfiles: 'deny' });
+    return true;
+  }
+
+  return {
+    sendFile,
+    clear: () => settings.cache.clear(realRoot || root)
+  };
+}
+
+// Files a static export copies next to the pages: everything sendFile would serve, except assets/
+function collectStaticFiles(dir, relativeDir = '') {
+  let found = [];
+  if (!fs.existsSync(dir)) return found;
+
+  fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+    const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+    if (!safeSegments(relativePath)) return;
+
+    if (entry.isDirectory()) {
+      if (relativePath !== 'assets') {
+        found = found.concat(collectStaticFiles(path.join(dir, entry.name), relativePath));
+      }
+    } else if (entry.isFile()) {
+      found.push(relativePath);
+    }
+  });
+
+  return found;
+}
+
+module.exports = {
+  readSettings,
+  createFileCache,
+  createStaticRoot,
+  collectStaticFiles
+};
@@ -0,0 +1,132 @@
+// HTML templating - front matter, layouts, <!-- include: --> partials and {{VARIABLES}},
+// rendered once at load time so serving a page is still a plain memory lookup
+const fs = require('fs');
+const path = require('path');
+
+// Top-level folders holding template building blocks - they are never served as pages
+const TEMPLATE_DIRS = ['partials', 'layouts'];
+
+const INCLUDE_PATTERN = /<!--\s*include:\s*(\S+?)\s*-->/g;
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][\w\-]*)\s*\}\}/g;
+const CONTENT_PATTERN = /\{\{\s*content\s*\}\}/;
+
+// Split a leading "---" block of "key: value" lines from the HTML body
+function parseFrontMatter(source, file) {
+  const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---[ \t]*(\r?\n|$)/);
+  if (!match) {
+    return { data: {}, body: source };
+  }
+
+  const data = {};
+  match[1].split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+
+    const entry = line.match(/^\s*([A-Za-z_][\w\-]*)\s*:\s*(.*?)\s*$/);
+    if (!entry) {
+      throw new Error(`${file}: invalid front matter on line ${index + 2} - expected "key: value"`);
+    }
+    data[entry[1]] = entry[2].replace(/^(["'])(.*)\1$/, '$2');
+  });
+
+  return { data, body: source.slice(match[0].length) };
+}
+
+// Variables available to every page: SERVER_NAME, PORT and any PUBLIC_* environment variable.
+// Other environment variables (API keys...) are deliberately left out of pages.
+function globalVariables(env, builtIns) {
+  const variables = {};
+  Object.keys(env).forEach(name => {
+    if (name.startsWith('PUBLIC_')) variables[name] = env[name];
+  });
+  return { ...variables, ...builtIns };
+}
+
+// Renderer for one load of the public folder - template files are read once and shared by all pages
+function createRenderer(baseDir, variables) {
+  const root = path.resolve(baseDir);
+  const files = new Map();
+
+  // Read a template file relative to the public folder - throws on unsafe paths and missing files
+  function read(file, referencedBy) {
+    const filePath = path.resolve(root, file);
+
+    // Security: Only plain .html paths inside the public folder
+    if (!/^[\w\-.]+(\/[\w\-.]+)*\.html$/.test(file) || file.includes('..') || !filePath.startsWith(root + path.sep)) {
+      throw new Error(`${referencedBy}: invalid template path "${file}"`);
+    }
+
+    if (!files.has(file)) {
+      if (!fs.existsSync(filePath)) {
+        throw new Error(`${referencedBy}: template "${file}" does not exist`);
+      }
+      const parsed = parseFrontMatter(fs.readFileSync(filePath, 'utf8'), file);
+      files.set(file, { ...parsed, modified: fs.statSync(filePath).mtime });
+    }
+
+    return files.get(file);
+  }
+
+  // Replace include comments with the partial's body, recursively
+  function expandIncludes(body, chain, used) {
+    return body.replace(INCLUDE_PATTERN, (match, target) => {
+      const file = target.replace(/^\/+/, '');
+      if (chain.includes(file)) {
+        throw new Error(`Include cycle: ${[...chain, file].join(' → ')}`);
+      }
+      const partial = read(file, chain[chain.length - 1]);
+      used.add(file);
+      return expandIncludes(partial.body, [...chain, file], used);
+    });
+  }
+
+  // Render a page file: includes, then its layout chain, then variables.
+  // Returns the HTML and the newest modification time of every file it was built from.
+  function render(file) {
+    const used = new Set([file]);
+    const page = read(file, file);
+    let data = { ...page.data };
+    let html = expandIncludes(page.body, [file], used);
+
+    // Layouts wrap the page at {{content}} and may name a layout of their own
+    const layouts = [file];
+    let layoutName = page.data.layout;
+    while (layoutName) {
+      const layoutFile = `layouts/${layoutName.replace(/\.html$/, '')}.html`;
+      if (layouts.includes(layoutFile)) {
+        throw new Error(`Layout cycle: ${[...layouts, layoutFile].join(' → ')}`);
+      }
+      const layout = read(layoutFile, layouts[layouts.length - 1]);
+      if (!CONTENT_PATTERN.test(layout.body)) {
+        throw new Error(`${layoutFile}: layout has no {{content}} placeholder`);
+      }
+      layouts.push(layoutFile);
+      used.add(layoutFile);
+
+      const wrapper = expandIncludes(layout.body, [layoutFile], used);
+      html = wrapper.replace(CONTENT_PATTERN, () => html);
+      data = { ...layout.data, ...data };
+      layoutName = layout.data.layout;
+    }
+
+    // Page front matter wins over the globals; unknown names are left untouched
+    const values = { ...variables, ...data };
+    html = html.replace(VARIABLE_PATTERN, (match, name) => {
+      return Object.prototype.hasOwnProperty.call(values, name) ? values[name] : match;
+    });
+
+    const modified = [...used].reduce((newest, usedFile) => {
+      const time = files.get(usedFile).modified;
+      return time > newest ? time : newest;
+    }, new Date(0));
+
+    return { content: html, modified };
+  }
+
+  return { render };
+}
+
+module.exports = {
+  TEMPLATE_DIRS,
+  globalVariables,
+  createRenderer
+};
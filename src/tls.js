@@ -0,0 +1,161 @@
+// HTTPS - certificate loading, a self-signed local CA for development and the HTTP → HTTPS redirect
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+
+const CA_DAYS = 3650;
+const CERT_DAYS = 825; // Longest validity Apple platforms accept for TLS server certificates
+const RENEW_BEFORE_DAYS = 30;
+
+function readSettings(env = process.env) {
+  const enabled = env.HTTPS === 'true';
+  return {
+    enabled,
+    http2: enabled && env.HTTP2 === 'true',
+    certFile: env.HTTPS_CERT ? path.resolve(__dirname, '..', env.HTTPS_CERT) : null,
+    keyFile: env.HTTPS_KEY ? path.resolve(__dirname, '..', env.HTTPS_KEY) : null,
+    certDir: path.resolve(__dirname, '..', env.HTTPS_CERT_DIR || '.certs'),
+    hostnames: (env.HTTPS_HOSTNAMES || '').split(',').map(name => name.trim()).filter(Boolean),
+    redirectPort: parseInt(env.HTTP_REDIRECT_PORT) || 0
+  };
+}
+
+// Names the generated certificate is valid for: localhost, loopback addresses, this machine and extras
+function certificateHostnames(settings, host) {
+  const names = ['localhost', '127.0.0.1', '::1', os.hostname().toLowerCase(), ...settings.hostnames];
+  if (host && host !== '0.0.0.0' && host !== '::') names.push(host);
+  return [...new Set(names)];
+}
+
+function subjectAltName(names) {
+  return names.map(name => (/^[\d.]+$/.test(name) || name.includes(':') ? `IP:${name}` : `DNS:${name}`)).join(',');
+}
+
+function openssl(args, cwd) {
+  try {
+    execFileSync('openssl', args, { cwd, stdio: 'pipe' });
+  } catch (err) {
+    const reason = err.code === 'ENOENT' ? 'openssl is not installed' : String(err.stderr || err.message).trim();
+    throw new Error(`Could not generate a development certificate (${reason}) - set HTTPS_CERT and HTTPS_KEY instead`);
+  }
+}
+
+// Certificates list IPv6 addresses expanded (0:0:0:0:0:0:0:1), configs usually compressed (::1)
+function normalizeIp(address) {
+  if (!address.includes(':')) return address;
+  try {
+    return new URL(`http://[${address}]`).hostname.slice(1, -1);
+  } catch (err) {
+    return address.toLowerCase();
+  }
+}
+
+// Does the cached certificate still cover every name and stay valid for a while?
+function isCertificateUsable(certPem, names) {
+  try {
+    const certificate = new crypto.X509Certificate(certPem);
+    const renewAt = Date.now() + RENEW_BEFORE_DAYS * 24 * 60 * 60 * 1000;
+    const altNames = (certificate.subjectAltName || '').split(', ');
+    const covered = names.every(name => altNames.includes(`DNS:${name}`) || altNames.some(entry => {
+      return entry.startsWith('IP Address:') && normalizeIp(entry.slice('IP Address:'.length)) === normalizeIp(name);
+    }));
+    return covered && new Date(certificate.validTo).getTime() > renewAt;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Create (once) a local CA and a server certificate signed by it, cached in certDir.
+// Trusting ca.crt once removes the browser warning for every regenerated server certificate.
+function ensureDevCertificate(certDir, names) {
+  const caKey = path.join(certDir, 'ca.key');
+  const caCert = path.join(certDir, 'ca.crt');
+  const serverKey = path.join(certDir, 'server.key');
+  const serverCert = path.join(certDir, 'server.crt');
+  let generated = false;
+
+  fs.mkdirSync(certDir, { recursive: true, mode: 0o700 });
+
+  if (!fs.existsSync(caKey) || !fs.existsSync(caCert)) {
+    openssl([
+      'req', '-x509', '-newkey', 'rsa:2048', '-nodes', '-sha256',
+      '-keyout', 'ca.key', '-out', 'ca.crt', '-days', String(CA_DAYS),
+      '-subj', `/CN=AlphaBlue Local Development CA (${os.hostname()})`,
+      '-addext', 'basicConstraints=critical,CA:TRUE',
+      '-addext', 'keyUsage=critical,keyCertSign,cRLSign'
+    ], certDir);
+    fs.chmodSync(caKey, 0o600);
+    fs.rmSync(serverCert, { force: true });
+    generated = true;
+  }
+
+  if (!fs.existsSync(serverKey) || !fs.existsSync(serverCert) || !isCertificateUsable(fs.readFileSync(serverCert), names)) {
+    const extensions = [
+      `subjectAltName=${subjectAltName(names)}`,
+      'basicConstraints=CA:FALSE',
+      'keyUsage=critical,digitalSignature,keyEncipherment',
+      'extendedKeyUsage=serverAuth'
+    ].join('\n');
+    fs.writeFileSync(path.join(certDir, 'server.ext'), extensions);
+
+    openssl(['req', '-newkey', 'rsa:2048', '-nodes', '-keyout', 'server.key', '-out', 'server.csr', '-subj', '/CN=localhost'], certDir);
+    openssl([
+      'x509', '-req', '-sha256', '-in', 'server.csr', '-CA', 'ca.crt', '-CAkey', 'ca.key',
+      '-set_serial', `0x${crypto.randomBytes(16).toString('hex')}`,
+      '-days', String(CERT_DAYS), '-extfile', 'server.ext', '-out', 'server.crt'
+    ], certDir);
+    fs.chmodSync(serverKey, 0o600);
+    fs.rmSync(path.join(certDir, 'server.csr'), { force: true });
+    fs.rmSync(path.join(certDir, 'server.ext'), { force: true });
+    generated = true;
+  }
+
+  return { keyFile: serverKey, certFile: serverCert, caFile: caCert, generated };
+}
+
+// Key and certificate for the HTTPS server - the configured files, or the generated dev certificate
+function loadCredentials(settings, host) {
+  if (settings.certFile || settings.keyFile) {
+    if (!settings.certFile || !settings.keyFile) {
+      throw new Error('HTTPS_CERT and HTTPS_KEY must be set together');
+    }
+    return {
+      key: fs.readFileSync(settings.keyFile),
+      cert: fs.readFileSync(settings.certFile),
+      caFile: null,
+      generated: false
+    };
+  }
+
+  const files = ensureDevCertificate(settings.certDir, certificateHostnames(settings, host));
+  return {
+    key: fs.readFileSync(files.keyFile),
+    cert: fs.readFileSync(files.certFile),
+    caFile: files.caFile,
+    generated: files.generated
+  };
+}
+
+// Plain HTTP listener that sends every request to the HTTPS port (308 keeps the method and body)
+function startRedirectServer(redirectPort, httpsPort, host) {
+  const server = http.createServer((req, res) => {
+    const hostname = (req.headers.host || 'localhost').replace(/:\d+$/, '');
+    const portSuffix = String(httpsPort) === '443' ? '' : `:${httpsPort}`;
+    res.writeHead(308, { location: `https://${hostname}${portSuffix}${req.url}`, 'content-length': '0' });
+    res.end();
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(redirectPort, host, () => resolve(server));
+  });
+}
+
+module.exports = {
+  readSettings,
+  loadCredentials,
+  startRedirectServer
+};
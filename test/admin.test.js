@@ -0,0 +1,56 @@
+// Admin dashboard - access and the actions, which must never run for another website
+const test = require('node:test');
+const assert = require('node:assert');
+const { setupServer } = require('./helpers');
+
+const KEY = 'admin-test-key-0123456789';
+const FILES = { 'public/index.html': '<p>home</p>' };
+const ENV = { ADMIN_DASHBOARD: 'true', HEALTH_CHECK_API_KEY: KEY };
+
+test('admin dashboard', async (t) => {
+  const { app } = setupServer(t, FILES, { env: ENV });
+  const reload = (headers) => app.inject({
+    method: 'POST',
+    url: '/_admin/reload',
+    headers: { host: 'localhost:3000', accept: 'application/json', 'x-api-key': KEY, 'x-admin-action': 'reload', ...headers }
+  });
+
+  await t.test('require the admin key', async () => {
+    assert.strictEqual((await app.inject({ url: '/_admin' })).statusCode, 401);
+    assert.strictEqual((await app.inject({ url: '/_admin', headers: { 'x-api-key': KEY } })).statusCode, 200);
+  });
+
+  await t.test('run actions from the dashboard and from scripts', async () => {
+    for (const headers of [{ origin: 'http://localhost:3000', 'sec-fetch-site': 'same-origin' }, {}]) {
+      const response = await reload(headers);
+      assert.strictEqual(response.statusCode, 200);
+      assert.deepStrictEqual(response.json(), { message: 'Reloaded 1 pages' });
+    }
+  });
+
+  await t.test('refuse actions without their action header', async () => {
+    const response = await reload({ 'x-admin-action': 'clear-stats' });
+    assert.strictEqual(response.statusCode, 403);
+  });
+
+  await t.test('refuse cross-origin actions even though CORS allows the origin', async () => {
+    const preflight = await app.inject({
+      method: 'OPTIONS',
+      url: '/_admin/reload',
+      headers: { origin: 'http://evil.example', 'access-control-request-method': 'POST', 'access-control-request-headers': 'x-admin-action' }
+    });
+    assert.strictEqual(preflight.headers['access-control-allow-origin'], 'http://evil.example');
+
+    const cases = [
+      { origin: 'http://evil.example', 'sec-fetch-site': 'cross-site' },
+      { origin: 'http://evil.example' },
+      { 'sec-fetch-site': 'same-site' },
+      { origin: 'null' }
+    ];
+    for (const headers of cases) {
+      const response = await reload(headers);
+      assert.strictEqual(response.statusCode, 403, JSON.stringify(headers));
+      assert.match(response.json().detail, /own origin/);
+    }
+  });
+});
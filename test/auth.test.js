@@ -0,0 +1,145 @@
+// Auth - rules that must hold however the path is spelled, the three credential types and the lockout
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { setupServer, basicAuth } = require('./helpers');
+
+// A page and a file below /preview, protected by a Basic auth rule
+const FILES = {
+  'public/index.html': '<p>home</p>',
+  'public/preview/secret.html': '<p>secret</p>',
+  'public/preview/data.txt': 'data',
+  'auth.json': {
+    users: [{ username: 'client', password: 'preview-password' }],
+    rules: [{ path: '/preview/*', auth: 'basic' }]
+  }
+};
+
+test('auth rules', async (t) => {
+  const { app } = setupServer(t, FILES);
+
+  await t.test('protect pages and files below the prefix', async () => {
+    for (const url of ['/preview/secret', '/preview/data.txt', '/PREVIEW/secret']) {
+      const response = await app.inject({ url });
+      assert.strictEqual(response.statusCode, 401, url);
+      assert.match(response.headers['www-authenticate'], /^Basic /);
+    }
+  });
+
+  await t.test('serve them with valid credentials', async () => {
+    const authorization = basicAuth('client', 'preview-password');
+    const response = await app.inject({ url: '/preview/secret', headers: { authorization } });
+    assert.strictEqual(response.statusCode, 200);
+    assert.match(response.body, /secret/);
+  });
+
+  await t.test('match repeated slashes the way the router does', async () => {
+    for (const url of ['//preview/secret', '//preview/data.txt', '/preview//secret']) {
+      const response = await app.inject({ url });
+      assert.strictEqual(response.statusCode, 401, url);
+    }
+  });
+
+  await t.test('match percent-encoded paths the way the router does', async () => {
+    for (const url of ['/%70review/secret', '/%70review/data.txt', '/preview%2Fsecret', '/preview;x/secret']) {
+      const response = await app.inject({ url });
+      assert.strictEqual(response.statusCode, 401, url);
+    }
+  });
+
+  await t.test('leave other paths public', async () => {
+    const response = await app.inject({ url: '/' });
+    assert.strictEqual(response.statusCode, 200);
+  });
+});
+
+// A signed HS256 token - claims and the signing secret can be overridden to forge bad ones
+function jwt(claims, { secret = JWT_SECRET, alg = 'HS256' } = {}) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode({ alg, typ: 'JWT' })}.${encode(claims)}`;
+  const signature = crypto.createHmac('sha256', secret).update(unsigned).digest('base64url');
+  return `Bearer ${unsigned}.${alg === 'none' ? '' : signature}`;
+}
+
+const JWT_SECRET = 'jwt-secret-0123456789';
+const now = () => Math.floor(Date.now() / 1000);
+
+const CREDENTIALS = {
+  'public/index.html': '<p>home</p>',
+  'data/reports.json': [{ id: 1 }],
+  'auth.json': {
+    apiKeys: [{ name: 'reader', key: 'reader-key-0123456789', scopes: ['read'] }],
+    users: [{ username: 'admin', password: 'admin-password', scopes: ['write'] }],
+    tokens: { secret: JWT_SECRET, algorithms: ['HS256'], issuer: 'tests' },
+    rules: [{ path: '/reports/*', auth: ['apiKey', 'basic', 'bearer'], scopes: ['read'] }],
+    lockout: { maxAttempts: 3, windowSeconds: 60, lockSeconds: 60 }
+  }
+};
+
+test('credentials', async (t) => {
+  const { app } = setupServer(t, CREDENTIALS);
+  // Every case comes from its own address so the lockout of one doesn't leak into the next
+  let address = 0;
+  const get = (authorization, headers = {}) => app.inject({
+    url: '/reports',
+    remoteAddress: `10.0.0.${++address}`,
+    headers: authorization ? { authorization, ...headers } : headers
+  });
+
+  await t.test('accept API keys, Basic users and bearer tokens with the scope', async () => {
+    assert.strictEqual((await get(null, { 'x-api-key': 'reader-key-0123456789' })).statusCode, 200);
+    assert.strictEqual((await get(jwt({ sub: 'ci', iss: 'tests', scope: 'read write' }))).statusCode, 200);
+
+    const user = await get(basicAuth('admin', 'admin-password'), { accept: 'application/json' });
+    assert.strictEqual(user.statusCode, 403);
+    assert.match(user.json().detail, /Missing scope: read/);
+  });
+
+  await t.test('reject forged, expired and foreign tokens', async () => {
+    const tokens = {
+      'wrong secret': jwt({ iss: 'tests', scope: 'read' }, { secret: 'another-secret-0123456789' }),
+      'alg none': jwt({ iss: 'tests', scope: 'read' }, { alg: 'none' }),
+      'expired': jwt({ iss: 'tests', scope: 'read', exp: now() - 3600 }),
+      'not yet valid': jwt({ iss: 'tests', scope: 'read', nbf: now() + 3600 }),
+      'other issuer': jwt({ iss: 'elsewhere', scope: 'read' }),
+      'malformed': 'Bearer not.a.token'
+    };
+    for (const [name, token] of Object.entries(tokens)) {
+      const response = await get(token, { accept: 'application/json' });
+      assert.strictEqual(response.statusCode, 401, name);
+    }
+  });
+
+  await t.test('challenge requests without credentials', async () => {
+    const response = await get(null);
+    assert.strictEqual(response.statusCode, 401);
+    assert.match(response.headers['www-authenticate'], /^Basic realm="Restricted"/);
+  });
+});
+
+test('lockout', async (t) => {
+  const { app } = setupServer(t, CREDENTIALS);
+  const get = (remoteAddress, authorization) => app.inject({ url: '/reports', remoteAddress, headers: { authorization } });
+  const wrong = basicAuth('admin', 'guess');
+
+  await t.test('lock an address out after repeated failures', async () => {
+    for (let attempt = 0; attempt < 3; attempt++) {
+      assert.strictEqual((await get('10.1.0.1', wrong)).statusCode, 401);
+    }
+    const locked = await get('10.1.0.1', basicAuth('admin', 'admin-password'));
+    assert.strictEqual(locked.statusCode, 429);
+    assert.ok(Number(locked.headers['retry-after']) > 0);
+
+    assert.strictEqual((await get('10.1.0.2', wrong)).statusCode, 401);
+  });
+
+  await t.test('keep counting failures across successful logins', async () => {
+    const valid = jwt({ iss: 'tests', scope: 'read' });
+    for (let attempt = 0; attempt < 2; attempt++) {
+      assert.strictEqual((await get('10.1.0.3', wrong)).statusCode, 401);
+      assert.strictEqual((await get('10.1.0.3', valid)).statusCode, 200);
+    }
+    assert.strictEqual((await get('10.1.0.3', wrong)).statusCode, 401);
+    assert.strictEqual((await get('10.1.0.3', valid)).statusCode, 429);
+  });
+});
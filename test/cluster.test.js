@@ -0,0 +1,137 @@
+// Cluster mode - a real primary with two workers: rolling restarts without failed requests, crash restarts
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { createProject } = require('./helpers');
+
+const WORKERS = 2;
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    }).on('error', reject);
+  });
+}
+
+// The pid of the worker that answered, or null when the request failed - a new connection every time
+// so the primary hands requests to the workers in turn
+function workerPid(port) {
+  return new Promise(resolve => {
+    http.get({ port, host: '127.0.0.1', path: '/health/ready', agent: false }, response => {
+      let body = '';
+      response.on('data', chunk => { body += chunk; });
+      response.on('end', () => resolve(response.statusCode === 200 ? JSON.parse(body).pid : null));
+    }).on('error', () => resolve(null));
+  });
+}
+
+// Ask until every worker has answered and return their pids
+async function workerPids(port, timeout = 20000) {
+  const pids = new Set();
+  const until = Date.now() + timeout;
+  while (pids.size < WORKERS && Date.now() < until) {
+    const pid = await workerPid(port);
+    if (pid) pids.add(pid);
+    else await delay(100);
+  }
+  assert.strictEqual(pids.size, WORKERS, 'every worker answers');
+  return pids;
+}
+
+async function startCluster(t) {
+  const dir = createProject({ 'public/index.html': '<p>home</p>' });
+  const port = await freePort();
+  const primary = spawn(process.execPath, [path.join(__dirname, '..', 'index.js'), 'cluster'], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      HOST: '127.0.0.1',
+      CLUSTER_WORKERS: String(WORKERS),
+      PUBLIC_DIR: path.join(dir, 'public'),
+      API_DIR: path.join(dir, 'api'),
+      DATA_DIR: path.join(dir, 'data'),
+      HEALTH_CHECKS_DIR: path.join(dir, 'checks'),
+      AUTH_CONFIG: path.join(dir, 'auth.json'),
+      PROXY_CONFIG: path.join(dir, 'proxy.json'),
+      SITES_CONFIG: path.join(dir, 'sites.json'),
+      HEALTH_RATE_LIMIT_MAX: '100000',
+      LIVE_RELOAD: 'false'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  primary.stdout.on('data', chunk => { output += chunk; });
+  primary.stderr.on('data', chunk => { output += chunk; });
+  const exited = new Promise(resolve => primary.once('exit', resolve));
+
+  t.after(async () => {
+    if (primary.exitCode === null) {
+      primary.kill('SIGTERM');
+      await Promise.race([exited, delay(15000)]);
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Resolves once the primary has printed text matching pattern
+  const printed = async (pattern, timeout = 30000) => {
+    const until = Date.now() + timeout;
+    while (!pattern.test(output)) {
+      if (Date.now() > until || primary.exitCode !== null) assert.fail(`expected ${pattern} in:\n${output}`);
+      await delay(50);
+    }
+  };
+
+  return { primary, port, printed };
+}
+
+test('cluster mode', { timeout: 120000 }, async (t) => {
+  const { primary, port, printed } = await startCluster(t);
+  let pids = await workerPids(port);
+
+  await t.test('replace every worker on SIGHUP without failing a request', async () => {
+    let failed = 0;
+    let served = 0;
+    let done = false;
+    const load = (async () => {
+      while (!done) {
+        if (await workerPid(port)) served++;
+        else failed++;
+      }
+    })();
+
+    primary.kill('SIGHUP');
+    await printed(/Rolling restart complete/);
+    done = true;
+    await load;
+
+    assert.strictEqual(failed, 0, `${failed} of ${served + failed} requests failed`);
+    const replaced = await workerPids(port);
+    assert.ok([...replaced].every(pid => !pids.has(pid)), 'no worker survives the rolling restart');
+    pids = replaced;
+  });
+
+  await t.test('restart a crashed worker', async () => {
+    const [crashed, survivor] = [...pids];
+    process.kill(crashed, 'SIGKILL');
+    await printed(new RegExp(`Worker ${crashed} exited \\(SIGKILL\\), restarting in 1s`));
+
+    const restarted = await workerPids(port);
+    assert.ok(restarted.has(survivor));
+    assert.ok(!restarted.has(crashed));
+  });
+
+  await t.test('stop the workers with the primary', async () => {
+    primary.kill('SIGTERM');
+    const code = await new Promise(resolve => primary.once('exit', resolve));
+    assert.strictEqual(code, 0);
+    assert.strictEqual(await workerPid(port), null);
+  });
+});
@@ -0,0 +1,96 @@
+// Configuration - layer precedence, validation messages and the values createServer() runs with
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const config = require('../src/config');
+const { createProject, setupServer } = require('./helpers');
+
+// A config file and a .env in a temporary folder; env and flags are passed in directly
+function layeredConfig(t, { file, dotenv, env = {}, flags = {} }) {
+  const dir = createProject({ 'alphablue.config.json': file || {}, '.env': dotenv || '' });
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return config.loadConfig({
+    configFile: path.join(dir, 'alphablue.config.json'),
+    envFile: path.join(dir, '.env'),
+    env,
+    flags
+  });
+}
+
+test('configuration layers', async (t) => {
+  await t.test('let each layer override the ones below it', () => {
+    const resolved = layeredConfig(t, {
+      file: { port: 4000, serverName: 'from-file', logFormat: 'pretty', liveReload: true },
+      dotenv: 'SERVER_NAME=from-dotenv\nLOG_FORMAT=combined\nBODY_LIMIT=2048\n',
+      env: { LOG_FORMAT: 'json', BODY_LIMIT: '4096' },
+      flags: config.parseFlags(['--body-limit', '8192']).flags
+    });
+
+    assert.deepStrictEqual(
+      ['PORT', 'SERVER_NAME', 'LOG_FORMAT', 'BODY_LIMIT', 'LIVE_RELOAD', 'REQUEST_TIMEOUT'].map(name => [resolved.values[name], resolved.sources[name]]),
+      [[4000, 'alphablue.config.json'], ['from-dotenv', '.env'], ['json', 'environment'], [8192, 'command line'], [true, 'alphablue.config.json'], [30000, 'default']]
+    );
+  });
+
+  await t.test('keep .env entries that are not settings and warn about likely typos', () => {
+    const resolved = layeredConfig(t, { dotenv: 'JWT_SECRET=abc\nBODY_LIMT=10\n' });
+    assert.strictEqual(resolved.passthrough.JWT_SECRET, 'abc');
+    assert.deepStrictEqual(resolved.warnings, ['.env sets BODY_LIMT - did you mean BODY_LIMIT?']);
+  });
+
+  await t.test('write only the settings that left their default to the environment', () => {
+    const resolved = layeredConfig(t, { file: { requestTimeout: 0 }, dotenv: 'JWT_SECRET=abc\n' });
+    const target = { JWT_SECRET: 'already set' };
+    config.applyConfig(resolved, target);
+    assert.deepStrictEqual(target, { JWT_SECRET: 'already set', REQUEST_TIMEOUT: '0' });
+  });
+});
+
+test('configuration validation', async (t) => {
+  await t.test('list every problem with its source', () => {
+    assert.throws(() => layeredConfig(t, {
+      file: { livereload: true, port: '4000' },
+      dotenv: 'BODY_LIMIT=1k\n',
+      env: { LOG_FORMAT: 'xml' },
+      flags: { PORT: '70000' }
+    }), (error) => {
+      assert.deepStrictEqual(error.message.split('\n  - ').slice(1), [
+        'Unknown setting "livereload" in alphablue.config.json - did you mean "liveReload"?',
+        'port in alphablue.config.json: must be integer (got "4000")',
+        'BODY_LIMIT in .env: must be integer (got "1k")',
+        'LOG_FORMAT in environment: must be equal to one of the allowed values: json, pretty, combined (got "xml")',
+        '--port in command line: must be <= 65535 (got "70000")'
+      ]);
+      return true;
+    });
+  });
+
+  await t.test('reject unknown and incomplete flags', () => {
+    assert.throws(() => config.parseFlags(['--prot', '4000']), /Unknown option --prot - did you mean --port\?/);
+    assert.throws(() => config.parseFlags(['--port']), /--port needs a value/);
+    assert.deepStrictEqual(config.parseFlags(['api', '--https', '--no-live-reload', '--port=1']), {
+      positional: ['api'],
+      flags: { HTTPS: 'true', LIVE_RELOAD: 'false', PORT: '1' }
+    });
+  });
+
+  await t.test('check createServer() settings and coerce them to their types', () => {
+    assert.throws(() => config.checkEnv({ BODY_LIMIT: '1k' }), /BODY_LIMIT in env: must be integer/);
+
+    const values = config.checkEnv({ REQUEST_TIMEOUT: '0', BODY_LIMIT: '', LIVE_RELOAD: 'true' });
+    assert.strictEqual(values.REQUEST_TIMEOUT, 0);
+    assert.strictEqual(values.BODY_LIMIT, 1024);
+    assert.strictEqual(values.LIVE_RELOAD, true);
+  });
+});
+
+test('createServer settings', async (t) => {
+  await t.test('run with explicit zero timeouts instead of the defaults', (t) => {
+    const { app } = setupServer(t, { 'public/index.html': '<p>home</p>' }, {
+      env: { REQUEST_TIMEOUT: '0', CONNECTION_TIMEOUT: '0', BODY_LIMIT: '2048' }
+    });
+    const { requestTimeout, connectionTimeout, bodyLimit } = app.initialConfig;
+    assert.deepStrictEqual({ requestTimeout, connectionTimeout, bodyLimit }, { requestTimeout: 0, connectionTimeout: 0, bodyLimit: 2048 });
+  });
+});
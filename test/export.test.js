@@ -0,0 +1,86 @@
+// Static export - rendered output, link checking and the output folders it refuses to replace
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const staticExport = require('../src/export');
+const { createProject, writeFiles } = require('./helpers');
+
+const FILES = {
+  'public/index.html': '<a href="/about">About</a><link href="/assets/site.css">',
+  'public/about.html': '<p>{{SERVER_NAME}} {{SITE_NAME}}</p><a href="/health/live">status</a>',
+  'public/404.html': '<p>gone</p>',
+  'public/5xx.html': '<p>broken</p>',
+  'public/robots.txt': 'User-agent: *',
+  'public/assets/site.css': 'body {}'
+};
+
+function exportProject(t, files = FILES) {
+  const dir = createProject(files);
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const settings = (outDir, env = {}) => staticExport.readSettings({
+    PUBLIC_DIR: path.join(dir, 'public'),
+    SERVER_NAME: 'exported',
+    EXPORT_BASE_URL: 'https://example.com',
+    ...env
+  }, outDir || path.join(dir, 'dist'));
+  return { dir, settings };
+}
+
+const read = (...parts) => fs.readFileSync(path.join(...parts), 'utf8');
+
+test('static export', async (t) => {
+  const { dir, settings } = exportProject(t);
+  const outDir = path.join(dir, 'dist');
+
+  await t.test('write pages, error pages, assets and files', () => {
+    const result = staticExport.exportSite(settings());
+    assert.deepStrictEqual(result, { pages: 3, assets: 1, files: 1 });
+    assert.strictEqual(read(outDir, 'about', 'index.html'), '<p>exported main</p><a href="/health/live">status</a>');
+    assert.strictEqual(read(outDir, '404.html'), '<p>gone</p>');
+    assert.strictEqual(read(outDir, 'assets', 'site.css'), 'body {}');
+    assert.strictEqual(read(outDir, 'robots.txt'), 'User-agent: *');
+  });
+
+  await t.test('leave error pages out of the sitemap', () => {
+    const sitemap = read(outDir, 'sitemap.xml');
+    assert.match(sitemap, /<loc>https:\/\/example.com\/<\/loc>/);
+    assert.match(sitemap, /<loc>https:\/\/example.com\/about\/<\/loc>/);
+    assert.doesNotMatch(sitemap, /404|5xx/);
+  });
+
+  await t.test('replace its own earlier output', () => {
+    fs.writeFileSync(path.join(outDir, 'stale.html'), 'old');
+    staticExport.exportSite(settings());
+    assert.ok(!fs.existsSync(path.join(outDir, 'stale.html')));
+  });
+
+  await t.test('fail on broken links and keep the previous output', () => {
+    writeFiles(dir, { 'public/contact.html': '<a href="/missing">x</a>' });
+    assert.throws(() => staticExport.exportSite(settings()), /broken link "\/missing"/);
+    assert.ok(fs.existsSync(path.join(outDir, 'about', 'index.html')));
+  });
+});
+
+test('static export output folder', async (t) => {
+  // A broken link makes the export fail after the folder check, so nothing is deleted even if a check regressed
+  const { dir, settings } = exportProject(t, { ...FILES, 'public/index.html': '<a href="/missing">x</a>' });
+
+  const refusals = {
+    'filesystem roots': ['/', /filesystem root/],
+    'the public folder': [path.join(dir, 'public'), /outside the project sources/],
+    'folders inside the public folder': [path.join(dir, 'public', 'out'), /outside the project sources/],
+    'folders holding the project': [path.dirname(path.resolve(__dirname, '..')), /outside the project sources/]
+  };
+  for (const [name, [outDir, error]] of Object.entries(refusals)) {
+    await t.test(`refuse ${name}`, () => {
+      assert.throws(() => staticExport.exportSite(settings(outDir)), error);
+    });
+  }
+
+  await t.test('refuse folders an export did not create', () => {
+    writeFiles(dir, { 'other/notes.txt': 'keep me' });
+    assert.throws(() => staticExport.exportSite(settings(path.join(dir, 'other'))), /not empty and was not created by an export/);
+    assert.strictEqual(read(dir, 'other', 'notes.txt'), 'keep me');
+  });
+});
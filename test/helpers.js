@@ -0,0 +1,62 @@
+// Shared test fixtures - a temporary project folder and a server built from it with createServer()
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createServer } = require('../src/server');
+
+// Write { 'public/index.html': '<p>home</p>', 'auth.json': { ... } } below dir - objects become JSON
+function writeFiles(dir, files = {}) {
+  Object.entries(files).forEach(([name, content]) => {
+    const file = path.join(dir, name);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, typeof content === 'string' || Buffer.isBuffer(content)
+      ? content
+      : JSON.stringify(content, null, 2));
+  });
+}
+
+function createProject(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alphablue-test-'));
+  writeFiles(dir, files);
+  return dir;
+}
+
+// Every folder and config file points into dir, so the repo's own public/, api/ and data/ stay out
+function buildServer(dir, options = {}) {
+  return createServer({
+    env: {},
+    quiet: true,
+    publicDir: path.join(dir, 'public'),
+    apiDir: path.join(dir, 'api'),
+    dataDir: path.join(dir, 'data'),
+    checksDir: path.join(dir, 'checks'),
+    authConfig: path.join(dir, 'auth.json'),
+    proxyConfig: path.join(dir, 'proxy.json'),
+    sitesConfig: path.join(dir, 'sites.json'),
+    ...options
+  });
+}
+
+// A project and its server for one test - closed and removed again when the test ends
+function setupServer(t, files, options) {
+  const dir = createProject(files);
+  let app = null;
+  t.after(async () => {
+    if (app) await app.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  app = buildServer(dir, options);
+  return { dir, app };
+}
+
+function basicAuth(username, password) {
+  return `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+}
+
+module.exports = {
+  writeFiles,
+  createProject,
+  buildServer,
+  setupServer,
+  basicAuth
+};
@@ -0,0 +1,83 @@
+// Mock REST resources - listing queries, CRUD and writing changes back to the fixture
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { setupServer } = require('./helpers');
+
+const USERS = Array.from({ length: 25 }, (unused, index) => ({
+  id: index + 1,
+  name: `User ${String(index + 1).padStart(2, '0')}`,
+  role: index % 5 === 0 ? 'admin' : 'viewer'
+}));
+
+const FILES = {
+  'public/index.html': '<p>home</p>',
+  'data/users.json': USERS
+};
+
+test('mock resource listing', async (t) => {
+  const { app } = setupServer(t, FILES);
+
+  await t.test('paginate with page and limit', async () => {
+    const first = (await app.inject({ url: '/users' })).json();
+    assert.strictEqual(first.data.length, 10);
+    assert.deepStrictEqual(first.meta, { page: 1, limit: 10, total: 25, pages: 3 });
+
+    const last = (await app.inject({ url: '/users?page=3&limit=10' })).json();
+    assert.deepStrictEqual(last.data.map(user => user.id), [21, 22, 23, 24, 25]);
+  });
+
+  await t.test('reject limits above the maximum', async () => {
+    const response = await app.inject({ url: '/users?limit=101' });
+    assert.strictEqual(response.statusCode, 400);
+  });
+
+  await t.test('filter on fields and sort', async () => {
+    const admins = (await app.inject({ url: '/users?role=admin&sort=-id' })).json();
+    assert.deepStrictEqual(admins.data.map(user => user.id), [21, 16, 11, 6, 1]);
+
+    const either = (await app.inject({ url: '/users?id=2&id=3' })).json();
+    assert.deepStrictEqual(either.data.map(user => user.id), [2, 3]);
+  });
+
+  await t.test('ignore parameters that are not fields', async () => {
+    for (const url of ['/users?_=1700000000', '/users?callback=x', '/users?role=admin&_=1']) {
+      const response = (await app.inject({ url })).json();
+      assert.ok(response.meta.total > 0, url);
+    }
+    const admins = (await app.inject({ url: '/users?role=admin&_=1' })).json();
+    assert.strictEqual(admins.meta.total, 5);
+  });
+});
+
+test('mock resource changes', async (t) => {
+  const { dir, app } = setupServer(t, FILES, { env: { MOCK_DATA_PERSIST: 'true' } });
+
+  await t.test('create, update and delete records', async () => {
+    const created = await app.inject({ method: 'POST', url: '/users', payload: { name: 'New' } });
+    assert.strictEqual(created.statusCode, 201);
+    assert.strictEqual(created.json().id, 26);
+
+    const duplicate = await app.inject({ method: 'POST', url: '/users', payload: { id: 26 } });
+    assert.strictEqual(duplicate.statusCode, 409);
+
+    const replaced = await app.inject({ method: 'PUT', url: '/users/26', payload: { id: 99, name: 'Replaced' } });
+    assert.deepStrictEqual(replaced.json(), { id: 26, name: 'Replaced' });
+
+    const patched = await app.inject({ method: 'PATCH', url: '/users/26', payload: { role: 'admin' } });
+    assert.deepStrictEqual(patched.json(), { id: 26, name: 'Replaced', role: 'admin' });
+
+    const removed = await app.inject({ method: 'DELETE', url: '/users/1' });
+    assert.strictEqual(removed.statusCode, 204);
+    assert.strictEqual((await app.inject({ url: '/users/1' })).statusCode, 404);
+  });
+
+  await t.test('write changes back to the fixture file', async () => {
+    await app.close();
+    const saved = JSON.parse(fs.readFileSync(path.join(dir, 'data', 'users.json'), 'utf8'));
+    assert.strictEqual(saved.length, 25);
+    assert.strictEqual(saved[0].id, 2);
+    assert.deepStrictEqual(saved[saved.length - 1], { id: 26, name: 'Replaced', role: 'admin' });
+  });
+});
@@ -0,0 +1,125 @@
+// Reverse proxy - forwarding, backend failures and timeouts, WebSocket upgrades
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { setupServer } = require('./helpers');
+
+// A backend that answers by path: /slow never answers, /stall stops mid-body, everything else echoes
+function startBackend(t) {
+  const backend = http.createServer((req, res) => {
+    if (req.url.includes('/slow')) return;
+    if (req.url.includes('/stall')) {
+      res.writeHead(200, { 'content-type': 'text/plain' });
+      res.write('partial');
+      return;
+    }
+    res.setHeader('content-type', 'application/json');
+    res.end(JSON.stringify({ url: req.url, forwardedHost: req.headers['x-forwarded-host'] }));
+  });
+  backend.on('upgrade', (req, socket) => {
+    socket.end('HTTP/1.1 101 Switching Protocols\r\nconnection: upgrade\r\nupgrade: websocket\r\n\r\n');
+  });
+  t.after(() => {
+    backend.closeAllConnections();
+    return new Promise(resolve => backend.close(resolve));
+  });
+  return new Promise(resolve => backend.listen(0, '127.0.0.1', () => resolve(backend.address().port)));
+}
+
+// Send an upgrade request and resolve with the status code of whatever comes back
+function upgrade(port, path, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const request = http.request({
+      port,
+      path,
+      headers: { connection: 'upgrade', upgrade: 'websocket', ...headers }
+    });
+    request.on('upgrade', (response, socket) => {
+      socket.destroy();
+      resolve(response.statusCode);
+    });
+    request.on('response', response => {
+      response.resume();
+      resolve(response.statusCode);
+    });
+    request.on('error', reject);
+    request.end();
+  });
+}
+
+async function proxyProject(t, files = {}) {
+  const backendPort = await startBackend(t);
+  const { app } = setupServer(t, {
+    'public/index.html': '<p>home</p>',
+    'proxy.json': [{ path: '/api', target: `http://127.0.0.1:${backendPort}/v1`, timeout: 200 }],
+    ...files
+  });
+  return app;
+}
+
+test('proxy requests', async (t) => {
+  const app = await proxyProject(t);
+
+  await t.test('forward the prefix to the backend path', async () => {
+    const response = await app.inject({ url: '/api/users?page=2', headers: { host: 'dev.local' } });
+    assert.strictEqual(response.statusCode, 200);
+    assert.deepStrictEqual(response.json(), { url: '/v1/api/users?page=2', forwardedHost: 'dev.local' });
+  });
+
+  await t.test('answer 504 when the backend does not respond in time', async () => {
+    const response = await app.inject({ url: '/api/slow' });
+    assert.strictEqual(response.statusCode, 504);
+  });
+
+  await t.test('close the client connection when the backend stalls mid-body', async () => {
+    await app.listen({ port: 0, host: '127.0.0.1' });
+    const { port } = app.server.address();
+    const outcome = await new Promise(resolve => {
+      http.get({ port, path: '/api/stall' }, response => {
+        response.on('data', () => {});
+        response.on('end', () => resolve('ended'));
+        response.on('error', () => resolve('aborted'));
+        response.on('aborted', () => resolve('aborted'));
+      }).on('error', () => resolve('aborted'));
+    });
+    assert.strictEqual(outcome, 'aborted');
+  });
+});
+
+test('proxy without a backend', async (t) => {
+  const { app } = setupServer(t, {
+    'public/index.html': '<p>home</p>',
+    'proxy.json': [{ path: '/api', target: 'http://127.0.0.1:9' }]
+  });
+
+  const response = await app.inject({ url: '/api/users' });
+  assert.strictEqual(response.statusCode, 502);
+});
+
+test('proxy upgrades', async (t) => {
+  const app = await proxyProject(t, {
+    'auth.json': { apiKeys: [{ name: 'socket', key: 'socket-key-0123456789' }], rules: [{ path: '/api/private/*', auth: 'apiKey' }] }
+  });
+  await app.listen({ port: 0, host: '127.0.0.1' });
+  const { port } = app.server.address();
+
+  await t.test('tunnel upgrades below the prefix', async () => {
+    assert.strictEqual(await upgrade(port, '/api/socket'), 101);
+  });
+
+  await t.test('apply auth rules to upgrades', async () => {
+    assert.strictEqual(await upgrade(port, '/api/private/socket'), 401);
+    assert.strictEqual(await upgrade(port, '/api/private/socket', { 'x-api-key': 'socket-key-0123456789' }), 101);
+  });
+
+  await t.test('answer 404 to other upgrades when nothing else handles them', async () => {
+    assert.strictEqual(await upgrade(port, '/other'), 404);
+  });
+
+  await t.test('leave other upgrades to later upgrade listeners', async () => {
+    app.server.on('upgrade', (req, socket) => {
+      if (req.url === '/other') socket.end('HTTP/1.1 101 Switching Protocols\r\nupgrade: test\r\n\r\n');
+    });
+    assert.strictEqual(await upgrade(port, '/other'), 101);
+  });
+});
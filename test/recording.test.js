@@ -0,0 +1,110 @@
+// Record and replay - HAR and NDJSON recordings, encoded bodies and replaying them against a server
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const recording = require('../src/recording');
+const replay = require('../src/replay');
+const { createProject, buildServer, writeFiles } = require('./helpers');
+
+// The page is above COMPRESSION_THRESHOLD, so it is pre-compressed and reaches the recorder encoded
+const PAGE = `<p>${'home '.repeat(400)}</p>`;
+const FILES = {
+  'public/index.html': PAGE,
+  'data/users.json': [{ id: 1, name: 'Ada' }]
+};
+const ENV = { COMPRESSION: 'true' };
+
+// Record a few requests into dir/recordings/<file> and return the file
+async function record(dir, file) {
+  const recordFile = path.join(dir, 'recordings', file);
+  const app = buildServer(dir, { env: { ...ENV, RECORD_FILE: recordFile } });
+  await app.inject({ url: '/', headers: { 'accept-encoding': 'br' } });
+  await app.inject({ method: 'POST', url: '/users', payload: { name: 'Grace' } });
+  await app.inject({ url: '/users/2' });
+  await app.close();
+  return recordFile;
+}
+
+// Replay file against a fresh server built from the same files, with the console output muted
+async function replayAgainstFreshServer(t, file) {
+  const dir = createProject(FILES);
+  const app = buildServer(dir, { env: ENV });
+  t.after(async () => {
+    await app.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  await app.listen({ port: 0, host: '127.0.0.1' });
+  t.mock.method(console, 'log', () => {});
+  return replay.replay({ file, url: `http://127.0.0.1:${app.server.address().port}`, headers: {}, ignore: [], json: null });
+}
+
+test('recording', async (t) => {
+  const dir = createProject(FILES);
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  await t.test('write a HAR document with decoded page bodies', async () => {
+    const har = JSON.parse(fs.readFileSync(await record(dir, 'session.har'), 'utf8'));
+    const [page, created] = har.log.entries;
+
+    assert.strictEqual(har.log.entries.length, 3);
+    assert.ok(page.response.headers.some(header => header.name === 'content-encoding' && header.value === 'br'));
+    assert.strictEqual(page.response.content.encoding, undefined);
+    assert.strictEqual(page.response.content.text, PAGE.slice(0, 1024));
+    assert.strictEqual(page.comment, 'response body truncated');
+    assert.deepStrictEqual(JSON.parse(created.request.postData.text), { name: 'Grace' });
+  });
+
+  await t.test('replay HAR and NDJSON recordings without differences', async (t) => {
+    for (const file of ['session.har', 'session.ndjson']) {
+      const recorded = file === 'session.har' ? path.join(dir, 'recordings', file) : await record(dir, file);
+      const report = await replayAgainstFreshServer(t, recorded);
+      assert.deepStrictEqual([report.total, report.matched], [3, 3], file);
+    }
+  });
+
+  await t.test('read the HAR file of a server that was killed', () => {
+    const file = path.join(dir, 'recordings', 'killed.har');
+    const complete = fs.readFileSync(path.join(dir, 'recordings', 'session.har'), 'utf8');
+    fs.writeFileSync(file, complete.slice(0, complete.lastIndexOf(']')));
+    assert.strictEqual(recording.loadRecording(file).length, 3);
+  });
+});
+
+test('replaying binary request bodies', async (t) => {
+  const received = [];
+  const backend = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      received.push(Buffer.concat(chunks));
+      res.end();
+    });
+  });
+  await new Promise(resolve => backend.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => backend.close(resolve)));
+
+  const body = Buffer.from([0, 255, 1, 254, 10, 13]);
+  const dir = createProject();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  writeFiles(dir, {
+    'upload.har': {
+      log: {
+        entries: [{
+          request: {
+            method: 'POST',
+            url: 'http://localhost:3000/upload',
+            headers: [{ name: 'content-type', value: 'application/octet-stream' }],
+            postData: { mimeType: 'application/octet-stream', text: body.toString('base64'), encoding: 'base64' }
+          },
+          response: { status: 200, headers: [], content: { size: 0, mimeType: '' } }
+        }]
+      }
+    }
+  });
+
+  t.mock.method(console, 'log', () => {});
+  await replay.replay({ file: path.join(dir, 'upload.har'), url: `http://127.0.0.1:${backend.address().port}`, headers: {}, ignore: [], json: null });
+  assert.deepStrictEqual(received, [body]);
+});
@@ -0,0 +1,127 @@
+// createServer() factory - pages, negotiated errors and caller options, all through inject()
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { setupServer, createProject, writeFiles, buildServer } = require('./helpers');
+
+// An index and one more page, no auth, API or mock data
+const FILES = {
+  'public/index.html': '<p>home on {{SERVER_NAME}}</p>',
+  'public/about.html': '<p>about</p>'
+};
+const ENV = { SERVER_NAME: 'test-server' };
+
+test('createServer', async (t) => {
+  const seen = [];
+  const { app } = setupServer(t, FILES, {
+    env: ENV,
+    hooks: { onRequest: (request, reply, done) => { seen.push(request.url); done(); } },
+    routes: [{ method: 'GET', url: '/extra', handler: async () => ({ extra: true }) }]
+  });
+
+  await t.test('serve pages with template variables filled in', async () => {
+    const index = await app.inject({ url: '/' });
+    assert.strictEqual(index.statusCode, 200);
+    assert.match(index.headers['content-type'], /^text\/html/);
+    assert.match(index.body, /home on test-server/);
+
+    const about = await app.inject({ url: '/about' });
+    assert.strictEqual(about.statusCode, 200);
+    assert.match(about.body, /about/);
+  });
+
+  await t.test('list routes as JSON on / for JSON clients', async () => {
+    const response = await app.inject({ url: '/', headers: { accept: 'application/json' } });
+    assert.strictEqual(response.statusCode, 200);
+    assert.match(response.headers.vary, /accept/);
+    const listing = response.json();
+    assert.strictEqual(listing.server, 'test-server');
+    assert.deepStrictEqual(listing.htmlPages.sort(), ['/about', '/index']);
+    assert.ok(listing.apiEndpoints.includes('/extra'));
+  });
+
+  await t.test('negotiate 404 responses', async () => {
+    const problem = await app.inject({ url: '/missing', headers: { accept: 'application/json' } });
+    assert.strictEqual(problem.statusCode, 404);
+    assert.match(problem.headers['content-type'], /^application\/problem\+json/);
+    assert.strictEqual(problem.json().status, 404);
+    assert.strictEqual(problem.json().instance, '/missing');
+
+    const plain = await app.inject({ url: '/missing' });
+    assert.strictEqual(plain.statusCode, 404);
+    assert.match(plain.headers['content-type'], /^text\/plain/);
+  });
+
+  await t.test('register caller routes and hooks', async () => {
+    const response = await app.inject({ url: '/extra' });
+    assert.strictEqual(response.statusCode, 200);
+    assert.deepStrictEqual(response.json(), { extra: true });
+    assert.ok(seen.includes('/extra'));
+  });
+
+  await t.test('echo request ids with logging off', async () => {
+    const generated = await app.inject({ url: '/helloworld' });
+    assert.ok(generated.headers['x-request-id']);
+
+    const reused = await app.inject({ url: '/helloworld', headers: { 'x-request-id': 'lb-1234' } });
+    assert.strictEqual(reused.headers['x-request-id'], 'lb-1234');
+  });
+});
+
+test('error pages', async (t) => {
+  const { app } = setupServer(t, {
+    ...FILES,
+    'public/404.html': '<h1>{{ERROR_STATUS}} {{ERROR_TITLE}}</h1>',
+    'public/5xx.html': '<h1>{{ERROR_STATUS}}</h1>'
+  });
+  const browser = { accept: 'text/html' };
+
+  await t.test('render them for browsers with the placeholders filled in', async () => {
+    const response = await app.inject({ url: '/missing', headers: browser });
+    assert.strictEqual(response.statusCode, 404);
+    assert.strictEqual(response.body, '<h1>404 Not Found</h1>');
+  });
+
+  await t.test('never serve them at their own URL', async () => {
+    for (const url of ['/404', '/5xx', '/404.html']) {
+      const response = await app.inject({ url, headers: browser });
+      assert.strictEqual(response.statusCode, 404, url);
+      assert.doesNotMatch(response.body, /{{ERROR_/, url);
+    }
+  });
+
+  await t.test('leave them out of the route listing', async () => {
+    const listing = (await app.inject({ url: '/', headers: { accept: 'application/json' } })).json();
+    assert.deepStrictEqual(listing.htmlPages.sort(), ['/about', '/index']);
+  });
+});
+
+test('route listing with several sites', async (t) => {
+  const dir = createProject({ ...FILES, 'docs/guide.html': '<p>guide</p>' });
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  writeFiles(dir, { 'sites.json': [{ name: 'docs', dir: path.join(dir, 'docs'), host: 'docs.localhost' }] });
+  const app = buildServer(dir);
+  t.after(() => app.close());
+  const listing = async (host) => (await app.inject({ url: '/', headers: { host, accept: 'application/json' } })).json();
+
+  await t.test('list the pages of the site the host belongs to', async () => {
+    assert.deepStrictEqual((await listing('docs.localhost')).htmlPages, ['/guide']);
+    assert.deepStrictEqual((await listing('localhost')).htmlPages.sort(), ['/about', '/index']);
+  });
+});
+
+test('createServer rejects bad setups', async (t) => {
+  const dir = createProject(FILES);
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  await t.test('throw on malformed settings', () => {
+    assert.throws(() => buildServer(dir, { env: { BODY_LIMIT: '1k' } }), /BODY_LIMIT/);
+  });
+
+  await t.test('reject ready() on clashing routes', async () => {
+    const app = buildServer(dir, { routes: [{ method: 'GET', url: '/helloworld', handler: async () => 'clash' }] });
+    await assert.rejects(app.ready());
+    await app.close().catch(() => {});
+  });
+});
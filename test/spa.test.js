@@ -0,0 +1,75 @@
+// SPA fallback - unknown deep links get the app's page, everything the server owns keeps its 404s
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { setupServer, createProject, buildServer } = require('./helpers');
+
+const FILES = {
+  'public/index.html': '<p>site</p>',
+  'public/app.html': '<p>app</p>',
+  'public/admin/index.html': '<p>admin app</p>',
+  'data/users.json': [{ id: 1 }]
+};
+
+const ENV = { SPA_FALLBACK: '/app/*=app.html | /console/*=admin/index.html | /*=index.html' };
+const browser = { accept: 'text/html' };
+
+test('SPA fallback', async (t) => {
+  const { app } = setupServer(t, FILES, { env: ENV });
+
+  await t.test('serve the first matching mount point for deep links', async () => {
+    const cases = { '/app/settings/profile': '<p>app</p>', '/app': '<p>app</p>', '/console/users': '<p>admin app</p>', '/apps/x': '<p>site</p>' };
+    for (const [url, body] of Object.entries(cases)) {
+      const response = await app.inject({ url, headers: browser });
+      assert.strictEqual(response.statusCode, 200, url);
+      assert.strictEqual(response.body, body, url);
+    }
+  });
+
+  await t.test('keep serving existing pages', async () => {
+    const response = await app.inject({ url: '/admin', headers: browser });
+    assert.strictEqual(response.body, '<p>admin app</p>');
+  });
+
+  await t.test('answer 404 to missing files and non-browser requests', async () => {
+    const requests = [
+      { url: '/app/main.js', headers: browser },
+      { url: '/app/settings', headers: { accept: 'application/json' } },
+      { method: 'POST', url: '/app/settings', headers: browser }
+    ];
+    for (const request of requests) {
+      const response = await app.inject(request);
+      assert.strictEqual(response.statusCode, 404, `${request.method || 'GET'} ${request.url}`);
+    }
+  });
+
+  await t.test('keep the 404s of server-owned paths', async () => {
+    for (const url of ['/assets/missing', '/api/missing', '/health/missing', '/users/1/extra']) {
+      const response = await app.inject({ url, headers: browser });
+      assert.strictEqual(response.statusCode, 404, url);
+    }
+  });
+});
+
+test('SPA fallback settings', async (t) => {
+  await t.test('serve index.html for every unknown page with "true"', async (t) => {
+    const { app } = setupServer(t, FILES, { env: { SPA_FALLBACK: 'true' } });
+    const response = await app.inject({ url: '/anything/deep', headers: browser });
+    assert.strictEqual(response.body, '<p>site</p>');
+  });
+
+  const refusals = {
+    'malformed rules': ['/app=app.html', /Invalid SPA fallback rule/],
+    'missing pages': ['/app/*=missing.html', /SPA fallback page \/missing does not exist/]
+  };
+  for (const [name, [value, error]] of Object.entries(refusals)) {
+    await t.test(`refuse ${name}`, () => {
+      const dir = createProject(FILES);
+      try {
+        assert.throws(() => buildServer(dir, { env: { SPA_FALLBACK: value } }), error);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  }
+});
@@ -0,0 +1,76 @@
+// Static files - the memory cache follows the files on disk, byte ranges go out uncompressed, symlinks stay inside
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { setupServer } = require('./helpers');
+
+const TEXT = 'User-agent: *\n'.repeat(200);
+const FILES = {
+  'public/index.html': '<p>home</p>',
+  'public/robots.txt': TEXT,
+  'public/assets/s.css': 'body { color: red; }',
+  'public/assets/fonts/a.txt': 'a',
+  'public/large.txt': TEXT.repeat(4),
+  'outside/secret.txt': 's'
+};
+
+test('static files', async (t) => {
+  // large.txt is above the cache's file size limit, so it is streamed from disk
+  const { dir, app } = setupServer(t, FILES, {
+    env: { COMPRESSION: 'true', STATIC_DIRECTORY_LISTING: 'true', STATIC_CACHE_MAX_FILE_SIZE: '4k' }
+  });
+
+  await t.test('serve edited files instead of the cached copy', async () => {
+    const first = await app.inject({ url: '/assets/s.css' });
+    assert.strictEqual(first.body, 'body { color: red; }');
+
+    fs.writeFileSync(path.join(dir, 'public', 'assets', 's.css'), 'body { color: blue; margin: 0; }');
+    const second = await app.inject({ url: '/assets/s.css' });
+    assert.strictEqual(second.statusCode, 200);
+    assert.strictEqual(second.body, 'body { color: blue; margin: 0; }');
+    assert.notStrictEqual(second.headers.etag, first.headers.etag);
+  });
+
+  await t.test('compress whole files but not byte ranges', async () => {
+    for (const [url, content] of [['/robots.txt', TEXT], ['/large.txt', FILES['public/large.txt']]]) {
+      const whole = await app.inject({ url, headers: { 'accept-encoding': 'gzip' } });
+      assert.strictEqual(whole.statusCode, 200, url);
+      assert.strictEqual(whole.headers['content-encoding'], 'gzip', url);
+
+      const range = await app.inject({ url, headers: { 'accept-encoding': 'gzip', range: 'bytes=10-29' } });
+      assert.strictEqual(range.statusCode, 206, url);
+      assert.strictEqual(range.headers['content-encoding'], undefined, url);
+      assert.strictEqual(range.body, content.slice(10, 30), url);
+      assert.strictEqual(range.headers['content-range'], `bytes 10-29/${content.length}`, url);
+    }
+  });
+
+  await t.test('refuse a cached file once it links outside the folder', async () => {
+    // Same size and modification time as the cached copy, so only the containment check can tell
+    const file = path.join(dir, 'public', 'assets', 'fonts', 'a.txt');
+    const secret = path.join(dir, 'outside', 'secret.txt');
+    [file, secret].forEach(target => fs.utimesSync(target, 1700000000, 1700000000));
+    assert.strictEqual((await app.inject({ url: '/assets/fonts/a.txt' })).body, 'a');
+
+    fs.rmSync(file);
+    fs.symlinkSync(secret, file);
+    const response = await app.inject({ url: '/assets/fonts/a.txt' });
+    assert.strictEqual(response.statusCode, 404);
+  });
+
+  await t.test('stop serving deleted files', async () => {
+    fs.rmSync(path.join(dir, 'public', 'robots.txt'));
+    for (const headers of [{}, { range: 'bytes=0-9' }]) {
+      const response = await app.inject({ url: '/robots.txt', headers });
+      assert.strictEqual(response.statusCode, 404);
+    }
+  });
+
+  await t.test('add accept to Vary on listings', async () => {
+    const response = await app.inject({ url: '/assets/fonts/', headers: { origin: 'http://example.com' } });
+    assert.strictEqual(response.statusCode, 200);
+    assert.match(response.headers.vary, /origin/i);
+    assert.match(response.headers.vary, /accept/);
+  });
+});
@@ -0,0 +1,65 @@
+// HTML templates - layouts, partials, variables and the errors a broken template set stops the server with
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { setupServer, createProject, buildServer } = require('./helpers');
+
+const FILES = {
+  'public/index.html': '---\nlayout: base\ntitle: Home\n---\n<p>home on port {{PORT}}</p>',
+  'public/about.html': '---\nlayout: base\n---\n<!-- include: partials/nav.html --><p>{{PUBLIC_SITE_URL}} {{SECRET_KEY}} {{unknown}}</p>',
+  'public/layouts/base.html': '---\ntitle: Default\n---\n<title>{{title}}</title><main>{{content}}</main>',
+  'public/partials/nav.html': '<nav><!-- include: partials/link.html --></nav>',
+  'public/partials/link.html': '<a href="/">{{SERVER_NAME}}</a>'
+};
+
+const ENV = { SERVER_NAME: 'templates', PUBLIC_SITE_URL: 'https://example.com', SECRET_KEY: 'hidden' };
+
+test('templates', async (t) => {
+  const { app } = setupServer(t, FILES, { env: ENV, port: 4100 });
+
+  await t.test('wrap pages in their layout with front matter values', async () => {
+    const home = await app.inject({ url: '/' });
+    assert.strictEqual(home.body, '<title>Home</title><main><p>home on port 4100</p></main>');
+  });
+
+  await t.test('expand nested partials and expose only PUBLIC_ variables', async () => {
+    const about = await app.inject({ url: '/about' });
+    assert.strictEqual(about.body,
+      '<title>Default</title><main><nav><a href="/">templates</a></nav><p>https://example.com {{SECRET_KEY}} {{unknown}}</p></main>');
+  });
+
+  await t.test('never serve layouts and partials', async () => {
+    for (const url of ['/layouts/base', '/partials/nav', '/partials/nav.html']) {
+      const response = await app.inject({ url });
+      assert.strictEqual(response.statusCode, 404, url);
+    }
+  });
+
+  await t.test('render {{PORT}} with the port actually bound', async () => {
+    await app.listen({ port: 0, host: '127.0.0.1' });
+    const { port } = app.server.address();
+    const home = await app.inject({ url: '/' });
+    assert.match(home.body, new RegExp(`home on port ${port}<`));
+  });
+});
+
+test('broken templates', async (t) => {
+  const cases = {
+    'include cycles': [{ 'public/partials/a.html': '<!-- include: partials/b.html -->', 'public/partials/b.html': '<!-- include: partials/a.html -->' }, /Include cycle: index.html → partials\/a.html → partials\/b.html → partials\/a.html/],
+    'layout cycles': [{ 'public/layouts/a.html': '---\nlayout: b\n---\n{{content}}', 'public/layouts/b.html': '---\nlayout: a\n---\n{{content}}' }, /Layout cycle/],
+    'missing partials': [{}, /template "partials\/a.html" does not exist/],
+    'includes outside the folder': [{ 'public/partials/a.html': '<!-- include: ../secret.html -->' }, /invalid template path/]
+  };
+
+  for (const [name, [files, error]] of Object.entries(cases)) {
+    await t.test(`stop on ${name}`, () => {
+      const page = name === 'layout cycles' ? '---\nlayout: a\n---\n<p>x</p>' : '<!-- include: partials/a.html -->';
+      const dir = createProject({ 'public/index.html': page, ...files });
+      try {
+        assert.throws(() => buildServer(dir), error);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  }
+});